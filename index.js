@@ -0,0 +1,171 @@
+/**
+ * Library entry point: analyse pages and sites from your own code, the way
+ * `finding-ssr analyze` does.
+ *
+ *     const { analyzeSite, renderEmail } = require('finding-ssr');
+ *
+ *     const site = await analyzeSite('https://example.com', {
+ *         pagesPerSite: 5,
+ *         onPageResult: page => console.log(page.url, page.ssrPercentage)
+ *     });
+ *     if (site.email) console.log(renderEmail(site.email).subject);
+ *
+ * Every function takes the analysis options of `DEFAULT_OPTIONS` together
+ * with the progress hooks, and launches and closes a browser of its own.
+ * Pass `context` (from `createContext`) to share one browser across calls
+ * instead; it is left open.
+ */
+const { DEFAULT_OPTIONS, createContext, compareRenders, analyzeSSR, analyzeOtherDevices, analyzeWebsite, processWebsites } = require('./lib/analyzer');
+const { detectFramework: detectPageFramework, describeFramework } = require('./lib/framework');
+const { DEVICES, emulateDevice } = require('./lib/devices');
+const { renderEmail } = require('./lib/email');
+const { ERROR_CATEGORIES, AnalysisError, classifyError, checkPageResponse } = require('./lib/errors');
+
+/**
+ * @typedef {Object} Fingerprint
+ * @property {string|null} framework Most specific framework detected, e.g. 'Next.js'
+ * @property {string|null} variant e.g. 'app router'
+ * @property {string|null} version
+ * @property {string|null} library Library the framework builds on, e.g. 'React'
+ * @property {boolean} isReact
+ * @property {number} confidence 0 to 1
+ * @property {Array<{ name: string, framework: string, detail: string, weight: number }>} signals
+ * @property {Object} renderingHints
+ */
+
+/**
+ * @typedef {Object} PageAnalysis
+ * @property {string} url
+ * @property {string} pageTitle
+ * @property {string} ssrPercentage Share of the content present without JavaScript, with two decimals
+ * @property {Object} coverage Blocks, headings and links missing without JavaScript
+ * @property {Object} seoParity Status of each SEO element without and with JavaScript
+ * @property {Object|null} crawl The Googlebot fetch, in `googlebot` capture mode
+ * @property {Object|null} contentBuckets Content by when it renders, with `interact`
+ * @property {Object|null} interaction
+ * @property {Object} performance
+ * @property {Object|null} screenshots Screenshot files, with `screenshotDir`
+ * @property {string} device The first device profile, the one the other fields are for
+ * @property {Array<{ device: string, ssrPercentage: string|null, error: Object|null, onlyMain: Object[], onlyHere: Object[] }>} devices
+ *     Each device profile after the first: its SSR percentage and the rendered blocks only it or only the first one has
+ * @property {string} initialHtml
+ * @property {string} finalHtml
+ */
+
+/**
+ * @typedef {Object} SiteResult
+ * @property {string} baseUrl
+ * @property {'done'|'skipped'|'failed'} status Skipped when no framework was detected
+ * @property {Fingerprint|null} fingerprint
+ * @property {Object[]} records One per analysed page, with the CSV columns
+ * @property {Object[]} pages Per page its missing blocks and screenshots, or its error
+ * @property {Array<{ template: string, pages: number, analyzed: number, ssrPercentage: string }>} templates
+ * @property {Object|null} email Data for `renderEmail`, built from the page with the lowest coverage
+ * @property {string|null} error
+ * @property {string|null} errorCategory One of ERROR_CATEGORIES
+ */
+
+/**
+ * @typedef {Object} Hooks
+ * @property {(website: string) => any} [onSiteStart]
+ * @property {(site: SiteResult) => any} [onSiteResult]
+ * @property {(page: { url: string, template: string }) => any} [onPageStart]
+ * @property {(page: { url: string, template: string, ssrPercentage: string|null, error: { category: string, message: string }|null }) => any} [onPageResult]
+ */
+
+/**
+ * @typedef {Partial<typeof DEFAULT_OPTIONS> & Hooks & { context?: ReturnType<typeof createContext> }} Options
+ */
+
+const HOOKS = ['onSiteStart', 'onSiteResult', 'onPageStart', 'onPageResult'];
+
+// Run `task` with the given context, or with one of its own that is closed afterwards
+async function withContext(options, task) {
+    const { context, ...rest } = options;
+    if (context) return task(context);
+
+    const analysisOptions = {};
+    const hooks = {};
+    Object.keys(rest).forEach(key => {
+        if (HOOKS.includes(key)) hooks[key] = rest[key];
+        else analysisOptions[key] = rest[key];
+    });
+
+    const ownContext = createContext(analysisOptions, hooks);
+    try {
+        return await task(ownContext);
+    } finally {
+        await ownContext.browserPool.close();
+    }
+}
+
+/**
+ * Compare one page with and without JavaScript, as each device profile in
+ * `devices`. The result is that of the first profile.
+ *
+ * @param {string} url
+ * @param {Options} [options]
+ * @returns {Promise<PageAnalysis>} Rejects with the page's error, see `classifyError`
+ */
+function analyzeUrl(url, options = {}) {
+    return withContext(options, async context => {
+        const analysis = await analyzeSSR(url, context);
+        return { url, ...analysis, device: context.options.devices[0], devices: await analyzeOtherDevices(url, context, analysis) };
+    });
+}
+
+/**
+ * Analyse a site: detect its framework, pick pages across its route
+ * templates and compare each of them with and without JavaScript. Never
+ * rejects for a site that cannot be analysed; the result is `failed`.
+ *
+ * @param {string} url
+ * @param {Options} [options]
+ * @returns {Promise<SiteResult>}
+ */
+function analyzeSite(url, options = {}) {
+    return withContext(options, context => analyzeWebsite(url, context));
+}
+
+/**
+ * Analyse several sites, `siteConcurrency` at a time.
+ *
+ * @param {string[]} urls
+ * @param {Options} [options]
+ * @returns {Promise<SiteResult[]>}
+ */
+function analyzeSites(urls, options = {}) {
+    return withContext(options, context => processWebsites(urls, context));
+}
+
+/**
+ * Load a page in the browser and fingerprint its JavaScript framework.
+ *
+ * @param {string} url
+ * @param {Options} [options]
+ * @returns {Promise<Fingerprint & { name: string }>} `name` is the readable name, e.g. 'Next.js (pages router)'
+ */
+function detectFramework(url, options = {}) {
+    return withContext(options, context => context.browserPool.withPage(async page => {
+        await emulateDevice(page, context.options.devices[0], { viewport: context.options.viewport });
+        const response = await page.goto(url, { waitUntil: context.options.waitUntil });
+        checkPageResponse(response, await page.content(), url);
+        const fingerprint = await detectPageFramework(page);
+        return { ...fingerprint, name: describeFramework(fingerprint) };
+    }, { url }));
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    DEVICES,
+    ERROR_CATEGORIES,
+    AnalysisError,
+    classifyError,
+    createContext,
+    analyzeUrl,
+    analyzeSite,
+    analyzeSites,
+    detectFramework,
+    compareRenders,
+    renderEmail
+};
@@ -0,0 +1,654 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const cheerio = require('cheerio');
+const { fetchWithJitter } = require('./http');
+const { createBrowserPool, mapWithConcurrency } = require('./browser-pool');
+const { discoverSitemapUrls } = require('./sitemap');
+const { detectFramework, describeFramework } = require('./framework');
+const { analyzeContentCoverage, classifyContent, contentBucketColumns } = require('./coverage');
+const { waitForDomSettle, runInteractionPhase } = require('./interaction');
+const { startPerformanceCapture, performanceColumns } = require('./performance');
+const { fullPageScreenshot, saveScreenshots, screenshotColumns } = require('./screenshots');
+const { compareSeoElements, parityColumns } = require('./seo-parity');
+const { buildEmailData } = require('./email');
+const { describeError, checkResponse, checkPageResponse, errorColumns } = require('./errors');
+const { emulateDevice, compareDevices, deviceColumns } = require('./devices');
+const { extractText, declaredLanguage, detectLanguage, extractTerms, findBoilerplateTerms } = require('./terms');
+const { clusterRoutes, isLowValueTemplate } = require('./route-templates');
+const { captureAsGooglebot, pageTitle: titleOf, captureColumns } = require('./googlebot');
+
+const DEFAULT_OPTIONS = {
+    pagesPerSite: 3,
+    pagesPerTemplate: 1,
+    devices: ['mobile'], // Device profiles each page is rendered with, the first one is the main one
+    viewport: null, // Custom viewport, replaces the one of each device profile
+    waitUntil: 'networkidle0', // Puppeteer load event the JS render waits for
+    waitMs: 2000, // Extra settle time after that event
+    captureMode: 'browser', // How the "what Google sees" HTML is captured: browser or googlebot
+    stemming: false, // Count inflected forms of a word together in the word cloud
+    interact: false, // Scroll and open widgets after load to find content that needs interaction
+    screenshotDir: null, // Where to store JS-off and JS-on screenshots of each page; none are taken without it
+    siteConcurrency: 3,
+    pageConcurrency: 4,
+    pageTimeout: 60 * 1000,
+    launchOptions: {} // Passed to puppeteer.launch, e.g. { executablePath }
+};
+
+// Time before the page timeout the interaction phase stops at, to capture the page it revealed
+function interactionMargin(pageTimeout) {
+    return Math.min(15 * 1000, pageTimeout / 4);
+}
+
+/**
+ * Create the state shared by everything analysed in one run: the resolved
+ * options, the browser pool and the progress hooks. Close it with
+ * `context.browserPool.close()`.
+ *
+ * Page hooks are called around each page of a site, site hooks by
+ * `processWebsites` around each site. All of them may return a promise,
+ * which is waited for.
+ *
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ * @param {{ onSiteStart?: Function, onSiteResult?: Function, onPageStart?: (page: { url: string, template: string }) => any, onPageResult?: (page: { url: string, template: string, ssrPercentage: string|null, error: Object|null }) => any }} [hooks]
+ */
+function createContext(options = {}, hooks = {}) {
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    return {
+        options: resolved,
+        hooks,
+        browserPool: createBrowserPool({ maxPages: resolved.pageConcurrency, pageTimeout: resolved.pageTimeout, launchOptions: resolved.launchOptions })
+    };
+}
+
+// Pages listed in the XML or HTML sitemap, none when the site has neither
+async function fetchSitemap(url) {
+    const sitemapEntries = await discoverSitemapUrls(url);
+    if (sitemapEntries.length > 0) {
+        console.log(`XML Sitemap discovery for ${url} found ${sitemapEntries.length} links.`);
+        return sitemapEntries;
+    }
+
+    // No XML sitemap, try the common HTML sitemap pages instead
+    const sitemapPaths = ['sitemap', 'site-map'];
+    const baseUrl = url.endsWith('/') ? url.slice(0, -1) : url;
+
+    for (const path of sitemapPaths) {
+        try {
+            console.log(`Attempting to fetch sitemap from ${baseUrl}/${path}...`);
+            const sitemapUrl = new URL(`/${path}`, baseUrl).href;
+            const response = await fetchWithJitter(sitemapUrl);
+
+            const $ = cheerio.load(response.data);
+            const links = $('a[href^="/"]')
+                .map((_, el) => new URL($(el).attr('href'), url).href)
+                .get()
+                .filter((value, index, self) => self.indexOf(value) === index);
+            console.log(`HTML Sitemap fetched and parsed for ${url}. Found ${links.length} links.`);
+            return links.map(link => ({ url: link }));
+        } catch (error) {
+            console.error(`Error fetching sitemap from ${baseUrl}/${path}:`, error.message);
+        }
+    }
+
+    console.error(`No sitemap found for ${url}.`);
+    return [];
+}
+
+async function scrapeInternalLinks(url, context) {
+    const links = await context.browserPool.withPage(async page => {
+        await page.goto(url, { waitUntil: 'networkidle0' });
+
+        return page.evaluate(() => {
+            return Array.from(document.querySelectorAll('a[href^="/"]'))
+                .map(a => new URL(a.href, window.location.origin).href)
+                .filter((value, index, self) => self.indexOf(value) === index);
+        });
+    }, { url });
+
+    console.log(`Scraped ${links.length} internal links from the homepage`);
+    return links;
+}
+
+/**
+ * Compare a page's HTML without and with JavaScript: its content coverage,
+ * the SSR percentage derived from it and the parity of SEO-critical markup.
+ *
+ * @param {string} initialHtml
+ * @param {string} finalHtml
+ * @param {string} url
+ */
+function compareRenders(initialHtml, finalHtml, url) {
+    const coverage = analyzeContentCoverage(initialHtml, finalHtml);
+    return {
+        ssrPercentage: coverage.score.toFixed(2),
+        coverage,
+        seoParity: compareSeoElements(initialHtml, finalHtml, url)
+    };
+}
+
+/**
+ * Render a page without and with JavaScript as one device profile and
+ * compare the two. The main profile also takes the screenshots and, in
+ * googlebot capture mode, the raw Googlebot response as initial HTML; other
+ * profiles capture theirs in the browser, with their own user agent.
+ *
+ * @param {string} url
+ * @param {ReturnType<typeof createContext>} context
+ * @param {{ device?: string, main?: boolean }} [render] Defaults to the main profile
+ */
+async function analyzeSSR(url, context, { device = context.options.devices[0], main = true } = {}) {
+    console.log(`Analyzing SSR for ${url}${main ? '' : ` as ${device}`}...`);
+    const { browserPool, options } = context;
+
+    try {
+        const emulate = page => emulateDevice(page, device, { viewport: options.viewport });
+
+        const takeScreenshots = main && Boolean(options.screenshotDir);
+        const renderWithoutJS = task => browserPool.withPage(async pageNoJS => {
+            await emulate(pageNoJS);
+            await pageNoJS.setJavaScriptEnabled(false);
+            const response = await pageNoJS.goto(url, { waitUntil: 'domcontentloaded' });
+            checkPageResponse(response, await pageNoJS.content(), url);
+            return task(pageNoJS);
+        }, { url });
+
+        let initialHtml;
+        let pageTitle;
+        let jsOffScreenshot = null;
+        let crawl = null;
+        if (main && options.captureMode === 'googlebot') {
+            // Capture the raw response Googlebot gets, as the crawler sees it before rendering
+            crawl = await captureAsGooglebot(url);
+            checkResponse(crawl, url);
+            initialHtml = crawl.html;
+            pageTitle = titleOf(initialHtml);
+            if (crawl.blockedByRobots) console.log(`${url} is disallowed for Googlebot by robots.txt.`);
+            // The raw response has nothing to screenshot, the JS-off render stands in for it
+            if (takeScreenshots) jsOffScreenshot = await renderWithoutJS(fullPageScreenshot);
+        } else {
+            // Capture initial HTML with JavaScript disabled
+            ({ initialHtml, pageTitle, jsOffScreenshot } = await renderWithoutJS(async pageNoJS => ({
+                initialHtml: await pageNoJS.content(),
+                pageTitle: await pageNoJS.title(),
+                jsOffScreenshot: takeScreenshots ? await fullPageScreenshot(pageNoJS) : null
+            })));
+        }
+
+        // Capture final HTML with JavaScript enabled
+        const { finalHtml, loadHtml, interaction, performance, jsOnScreenshot } = await browserPool.withPage(async (pageWithJS, { deadline }) => {
+            await emulate(pageWithJS);
+            const capture = await startPerformanceCapture(pageWithJS);
+            const response = await pageWithJS.goto(url, { waitUntil: options.waitUntil });
+            checkPageResponse(response, await pageWithJS.content(), url);
+
+            const rendered = { loadHtml: null, interaction: null };
+            if (!options.interact) {
+                await pageWithJS.waitForTimeout(options.waitMs); // Wait for content to load
+                rendered.performance = await capture.collect();
+            } else {
+                // Keep the loaded page before interacting, to tell the two kinds of client content apart.
+                // Metrics are taken here too, as scrolling and clicking cause shifts and long tasks of their own.
+                await waitForDomSettle(pageWithJS);
+                rendered.loadHtml = await pageWithJS.content();
+                rendered.performance = await capture.collect();
+                rendered.interaction = await runInteractionPhase(pageWithJS, url, { deadline: deadline - interactionMargin(options.pageTimeout) });
+                console.log(`Interaction on ${url}: ${rendered.interaction.scrolls} scroll(s), ${rendered.interaction.expanded} widget(s) expanded.`);
+            }
+
+            rendered.finalHtml = await pageWithJS.content();
+            rendered.jsOnScreenshot = takeScreenshots ? await fullPageScreenshot(pageWithJS) : null;
+            return rendered;
+        }, { url });
+
+        // Compare what is rendered with and without JavaScript
+        const { ssrPercentage, coverage, seoParity } = compareRenders(initialHtml, finalHtml, url);
+        const contentBuckets = loadHtml ? classifyContent(initialHtml, loadHtml, finalHtml) : null;
+
+        const screenshots = jsOffScreenshot && jsOnScreenshot
+            ? saveScreenshots(options.screenshotDir, url, { jsOff: jsOffScreenshot, jsOn: jsOnScreenshot })
+            : null;
+
+        return {
+            initialHtml,
+            finalHtml,
+            pageTitle: pageTitle || titleOf(finalHtml),
+            ssrPercentage,
+            coverage,
+            seoParity,
+            crawl,
+            contentBuckets,
+            interaction,
+            performance,
+            screenshots
+        };
+    } catch (error) {
+        console.error(`Error during SSR analysis for ${url}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Analyse a page as the other device profiles too, and compare each with
+ * the analysis of the main one. A profile that fails leaves the others.
+ *
+ * @param {string} url
+ * @param {ReturnType<typeof createContext>} context
+ * @param {Awaited<ReturnType<typeof analyzeSSR>>} mainAnalysis
+ */
+async function analyzeOtherDevices(url, context, mainAnalysis) {
+    const [mainDevice, ...otherDevices] = context.options.devices;
+    const renders = { [mainDevice]: mainAnalysis };
+    for (const device of otherDevices) {
+        try {
+            renders[device] = await analyzeSSR(url, context, { device, main: false });
+            console.log(`${url} SSR Percentage as ${device}: ${renders[device].ssrPercentage}%`);
+        } catch (error) {
+            renders[device] = { error: describeError(error) };
+        }
+    }
+    return compareDevices(mainDevice, renders);
+}
+
+// Rank sitemap entries by declared priority, then by most recent lastmod
+function compareSitemapEntries(a, b) {
+    const priorityA = a.priority != null ? a.priority : 0.5;
+    const priorityB = b.priority != null ? b.priority : 0.5;
+    if (priorityA !== priorityB) return priorityB - priorityA;
+    if (a.lastmod && b.lastmod && a.lastmod !== b.lastmod) return a.lastmod < b.lastmod ? 1 : -1;
+    if (a.lastmod && !b.lastmod) return -1;
+    if (!a.lastmod && b.lastmod) return 1;
+    return 0;
+}
+
+function pathDepth(url) {
+    return new URL(url).pathname.split('/').filter(Boolean).length;
+}
+
+/**
+ * Pick pages to analyse across the site's route templates (see
+ * `clusterRoutes`), so pages built from the same template are not analysed
+ * twice while other templates are missed.
+ *
+ * The homepage comes first, then templates with the most URLs, with
+ * low-value ones such as tag archives and search last. Each template gives
+ * its best ranked page in turn, then its second, up to `pagesPerTemplate`,
+ * until `pagesPerSite` pages are picked.
+ *
+ * @param {Array<{ url: string, priority?: number, lastmod?: string }>} entries
+ * @param {{ pagesPerSite?: number, pagesPerTemplate?: number }} [options]
+ * @returns {Array<{ url: string, template: string, templatePages: number }>}
+ */
+function selectPages(entries, { pagesPerSite = DEFAULT_OPTIONS.pagesPerSite, pagesPerTemplate = DEFAULT_OPTIONS.pagesPerTemplate } = {}) {
+    if (!entries || entries.length === 0 || pagesPerSite < 1) return [];
+
+    // Sorting is stable, so templates that rank the same keep their sitemap order
+    const templates = clusterRoutes(entries)
+        .map(({ template, entries: templateEntries }) => ({ template, entries: templateEntries.slice().sort(compareSitemapEntries) }))
+        .sort((a, b) => (b.template === '/') - (a.template === '/') ||
+            isLowValueTemplate(a.template) - isLowValueTemplate(b.template) ||
+            b.entries.length - a.entries.length);
+
+    const pages = [];
+    for (let round = 0; round < pagesPerTemplate; round++) {
+        for (const { template, entries: templateEntries } of templates) {
+            if (pages.length >= pagesPerSite) break;
+            if (round < templateEntries.length) {
+                pages.push({ url: templateEntries[round].url, template, templatePages: templateEntries.length });
+            }
+        }
+    }
+
+    console.log(`Selected ${pages.length} page(s) from ${templates.length} route template(s): ${pages.map(page => `${page.template} (${page.url})`).join(', ')}`);
+    return pages;
+}
+
+// Missing blocks kept per page in the results, for reports to show
+const MAX_STORED_BLOCKS = 50;
+const MAX_STORED_BLOCK_LENGTH = 300;
+
+function storedBlock(block) {
+    const text = block.text.length > MAX_STORED_BLOCK_LENGTH ? `${block.text.slice(0, MAX_STORED_BLOCK_LENGTH)}…` : block.text;
+    return { type: block.type, region: block.region, text };
+}
+
+// Keep the CSV cells readable: a count plus the first few missing items
+function summarizeMissing(items, describe, limit = 5) {
+    if (items.length === 0) return '';
+    const listed = items.slice(0, limit).map(describe).join(' | ');
+    return items.length > limit ? `${listed} | (+${items.length - limit} more)` : listed;
+}
+
+/**
+ * SSR coverage per route template: the average SSR percentage of the pages
+ * analysed from each template.
+ *
+ * @returns {Array<{ template: string, pages: number, analyzed: number, ssrPercentage: string }>}
+ */
+function summarizeTemplates(analyses) {
+    const templates = new Map();
+    analyses.forEach(({ template, templatePages, ssrPercentage }) => {
+        if (!templates.has(template)) templates.set(template, { template, pages: templatePages, percentages: [] });
+        templates.get(template).percentages.push(parseFloat(ssrPercentage));
+    });
+    return Array.from(templates.values()).map(({ template, pages, percentages }) => ({
+        template,
+        pages,
+        analyzed: percentages.length,
+        ssrPercentage: (percentages.reduce((sum, value) => sum + value, 0) / percentages.length).toFixed(2)
+    }));
+}
+
+/**
+ * Analyse each selected page on its own: a page that fails is recorded with
+ * its error category and message, and the other pages' results are kept.
+ * Template averages, boilerplate terms and the email only use the pages
+ * that were analysed.
+ */
+async function analyzePages(baseUrl, pages, frameworkColumns, context) {
+    const { onPageStart, onPageResult } = context.hooks || {};
+    const mainDevice = context.options.devices[0];
+    const analyses = await mapWithConcurrency(pages, context.options.pageConcurrency, async ({ url: pageUrl, template, templatePages }) => {
+        if (onPageStart) await onPageStart({ url: pageUrl, template });
+        let result;
+        try {
+            const analysis = await analyzeSSR(pageUrl, context);
+            const { ssrPercentage, coverage } = analysis;
+            console.log(`${template} page (${pageUrl}) SSR Percentage: ${ssrPercentage}% (${coverage.totals.missingBlocks} of ${coverage.totals.blocks} blocks missing without JS)`);
+
+            const pageText = extractText(analysis.finalHtml);
+            const language = detectLanguage(pageText, declaredLanguage(analysis.finalHtml));
+            const termCounts = extractTerms(pageText, { language, stem: context.options.stemming }).counts;
+            const devices = await analyzeOtherDevices(pageUrl, context, analysis);
+            result = { pageUrl, template, templatePages, language, termCounts, ...analysis, devices, error: null };
+        } catch (error) {
+            const described = describeError(error);
+            console.error(`${template} page (${pageUrl}) failed (${described.category}): ${described.message}`);
+            result = { pageUrl, template, templatePages, error: described };
+        }
+        if (onPageResult) await onPageResult({ url: pageUrl, template, ssrPercentage: result.ssrPercentage || null, error: result.error });
+        return result;
+    });
+
+    const analyzed = analyses.filter(analysis => !analysis.error);
+    const templates = summarizeTemplates(analyzed);
+    const boilerplateTerms = findBoilerplateTerms(analyzed.map(analysis => analysis.termCounts));
+    const templateSsrPercentage = template => {
+        const summary = templates.find(candidate => candidate.template === template);
+        return summary ? summary.ssrPercentage : 'N/A';
+    };
+    const results = [];
+    const pageDetails = [];
+    let lowestSSRPage = null;
+
+    for (const { pageUrl, template, templatePages, error, language, initialHtml, finalHtml, pageTitle, ssrPercentage, coverage, seoParity, crawl, contentBuckets, performance, screenshots, devices } of analyses) {
+        if (error) {
+            results.push({
+                baseUrl,
+                analyzedUrl: pageUrl,
+                ...frameworkColumns,
+                ssrPercentage: 'Error',
+                ...errorColumns(error),
+                template,
+                templatePages,
+                templateSsrPercentage: templateSsrPercentage(template),
+                ...deviceColumns(null),
+                ...contentBucketColumns(null),
+                ...performanceColumns(null),
+                ...screenshotColumns(null),
+                ...parityColumns(null),
+                ...captureColumns(null)
+            });
+            pageDetails.push({ url: pageUrl, template, error });
+            continue;
+        }
+
+        results.push({
+            baseUrl,
+            analyzedUrl: pageUrl,
+            language,
+            ...frameworkColumns,
+            ssrPercentage,
+            ...errorColumns(null),
+            template,
+            templatePages,
+            templateSsrPercentage: templateSsrPercentage(template),
+            missingBlocks: coverage.totals.missingBlocks,
+            missingHeadings: summarizeMissing(coverage.missingHeadings, block => block.text),
+            missingLinks: summarizeMissing(coverage.missingLinks, link => link.href),
+            ...deviceColumns(mainDevice, ssrPercentage, devices),
+            ...contentBucketColumns(contentBuckets),
+            ...performanceColumns(performance),
+            ...screenshotColumns(screenshots),
+            ...parityColumns(seoParity),
+            ...captureColumns(crawl)
+        });
+        pageDetails.push({
+            url: pageUrl,
+            template,
+            pageTitle,
+            ssrPercentage,
+            missingBlocks: coverage.missingBlocks.slice(0, MAX_STORED_BLOCKS).map(storedBlock),
+            screenshots,
+            device: mainDevice,
+            devices
+        });
+        if (!lowestSSRPage || parseFloat(ssrPercentage) < parseFloat(lowestSSRPage.ssrPercentage)) {
+            lowestSSRPage = {
+                url: pageUrl,
+                ssrPercentage,
+                pageTitle,
+                language,
+                initialHtml,
+                finalHtml,
+                coverage,
+                seoParity,
+                contentBuckets,
+                screenshots
+            };
+        }
+    }
+
+    return {
+        results,
+        pages: pageDetails,
+        templates,
+        boilerplateTerms,
+        lowestSSRPage,
+        errors: analyses.filter(analysis => analysis.error).map(analysis => analysis.error)
+    };
+}
+
+/**
+ * Analyse one site: detect its framework, pick pages from its sitemap across
+ * its route templates and compare each page with and without JavaScript.
+ *
+ * The site fails when its homepage or sitemap cannot be loaded, or when
+ * every page fails. Otherwise pages that failed are kept as records with
+ * their error, next to the results of the others.
+ *
+ * @param {string} inputUrl
+ * @param {ReturnType<typeof createContext>} context
+ * @returns {Promise<{ baseUrl: string, status: 'done'|'skipped'|'failed', fingerprint: Object|null, records: Object[], pages: Object[], templates: Object[], email: Object|null, error: string|null, errorCategory: string|null }>}
+ */
+async function analyzeWebsite(inputUrl, context) {
+    // Kept when a later step fails, so a failed site still shows what it runs on
+    let fingerprint = null;
+    let frameworkColumns = null;
+    try {
+        const baseUrl = inputUrl;
+        console.log(`Analyzing website: ${baseUrl}`);
+        fingerprint = await context.browserPool.withPage(async page => {
+            await emulateDevice(page, context.options.devices[0], { viewport: context.options.viewport });
+            const response = await page.goto(baseUrl, { waitUntil: context.options.waitUntil });
+            // A challenge page has no framework, which would skip the site as not using one
+            checkPageResponse(response, await page.content(), baseUrl);
+            return detectFramework(page);
+        }, { url: baseUrl });
+
+        frameworkColumns = {
+            framework: describeFramework(fingerprint),
+            frameworkVersion: fingerprint.version || 'Unknown',
+            frameworkConfidence: fingerprint.confidence
+        };
+
+        // Any client-side framework can hide content from crawlers, not just React
+        if (!fingerprint.framework) {
+            console.log(`Skipping analysis for ${baseUrl} as no JavaScript framework was detected.`);
+            return {
+                baseUrl,
+                status: 'skipped',
+                fingerprint,
+                records: [{
+                    baseUrl,
+                    analyzedUrl: baseUrl,
+                    ...frameworkColumns,
+                    ssrPercentage: 'N/A',
+                    ...errorColumns(null),
+                    template: 'N/A',
+                    ...deviceColumns(null),
+                    ...contentBucketColumns(null),
+                    ...performanceColumns(null),
+                    ...screenshotColumns(null),
+                    ...parityColumns(null),
+                    ...captureColumns(null)
+                }],
+                pages: [],
+                templates: [],
+                email: null,
+                error: null,
+                errorCategory: null
+            };
+        }
+
+        const homepageUrl = await getHomepageUrl(baseUrl);
+        let entries = await fetchSitemap(homepageUrl);
+        if (entries.length <= 2) {
+            console.log(`Not enough pages found in the sitemap for ${homepageUrl}. Falling back to scraping internal links...`);
+            const internalLinks = await scrapeInternalLinks(homepageUrl, context);
+            entries = internalLinks.map(link => ({ url: link }));
+        }
+        // The homepage is always analysed, whether or not the sitemap lists it
+        if (!entries.some(entry => pathDepth(entry.url) === 0)) entries = [{ url: homepageUrl }, ...entries];
+        const pages = selectPages(entries, context.options);
+
+        const { results, pages: pageDetails, templates, boilerplateTerms, lowestSSRPage, errors } = await analyzePages(baseUrl, pages, frameworkColumns, context);
+        if (errors.length === pages.length) {
+            console.error(`All ${pages.length} page(s) of ${baseUrl} failed.`);
+            return {
+                baseUrl,
+                status: 'failed',
+                fingerprint,
+                records: results,
+                pages: pageDetails,
+                templates,
+                email: null,
+                error: errors[0].message,
+                errorCategory: errors[0].category
+            };
+        }
+        console.log(`Analysis complete for ${baseUrl}${errors.length > 0 ? `, ${errors.length} of ${pages.length} page(s) failed` : ''}.`);
+
+        return {
+            baseUrl,
+            status: 'done',
+            fingerprint,
+            records: results,
+            pages: pageDetails,
+            templates,
+            // The email is built around the page with the lowest SSR percentage
+            email: lowestSSRPage ? buildEmailData(baseUrl, lowestSSRPage, fingerprint, { boilerplateTerms, stem: context.options.stemming }) : null,
+            error: null,
+            errorCategory: null
+        };
+    } catch (error) {
+        const described = describeError(error);
+        console.error(`Error analyzing website (${described.category}):`, error);
+        return {
+            baseUrl: inputUrl,
+            status: 'failed',
+            fingerprint,
+            records: [{
+                baseUrl: inputUrl,
+                analyzedUrl: inputUrl,
+                ...(frameworkColumns || { framework: 'Error', frameworkVersion: 'Error', frameworkConfidence: 'Error' }),
+                ssrPercentage: 'Error',
+                ...errorColumns(described),
+                template: 'Error',
+                ...deviceColumns(null),
+                ...contentBucketColumns(null),
+                ...performanceColumns(null),
+                ...screenshotColumns(null),
+                ...parityColumns(null),
+                ...captureColumns(null)
+            }],
+            pages: [],
+            templates: [],
+            email: null,
+            error: described.message,
+            errorCategory: described.category
+        };
+    }
+}
+
+async function getHomepageUrl(url) {
+    const parsedUrl = new URL(url);
+    return `${parsedUrl.protocol}//${parsedUrl.host}`;
+}
+
+/**
+ * Read the `url` column of an input CSV.
+ *
+ * @param {string} inputFile
+ * @returns {Promise<string[]>}
+ */
+function readWebsites(inputFile) {
+    return new Promise((resolve, reject) => {
+        const websites = [];
+        fs.createReadStream(inputFile)
+            .on('error', reject)
+            .pipe(csv())
+            .on('data', (row) => {
+                if (row.url && row.url.trim()) websites.push(row.url.trim());
+            })
+            .on('error', reject)
+            .on('end', () => resolve(websites));
+    });
+}
+
+/**
+ * Analyse every website, `siteConcurrency` at a time. `onSiteStart` is
+ * called before each site and `onSiteResult` as each site finishes, so
+ * progress can be recorded and results written out incrementally.
+ *
+ * @param {string[]} websites
+ * @param {ReturnType<typeof createContext>} context
+ * @param {{ onSiteStart?: (website: string) => Promise<void>|void, onSiteResult?: (result: Awaited<ReturnType<typeof analyzeWebsite>>) => Promise<void>|void }} [hooks] Defaults to the context's hooks
+ */
+async function processWebsites(websites, context, { onSiteStart, onSiteResult } = context.hooks || {}) {
+    const { siteConcurrency } = context.options;
+    console.log(`Found ${websites.length} websites to analyze, ${siteConcurrency} at a time.`);
+
+    const results = await mapWithConcurrency(websites, siteConcurrency, async website => {
+        if (onSiteStart) await onSiteStart(website);
+        const result = await analyzeWebsite(website, context);
+        if (onSiteResult) await onSiteResult(result);
+        return result;
+    });
+
+    console.log('Analysis complete for all websites.');
+    return results;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    createContext,
+    fetchSitemap,
+    scrapeInternalLinks,
+    compareRenders,
+    analyzeSSR,
+    analyzeOtherDevices,
+    selectPages,
+    analyzeWebsite,
+    readWebsites,
+    processWebsites
+};
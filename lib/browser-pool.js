@@ -0,0 +1,169 @@
+const puppeteer = require('puppeteer');
+const { acquireHostSlot } = require('./http');
+
+const DEFAULT_OPTIONS = {
+    maxPages: 4, // Pages open at once across all sites
+    pageTimeout: 60 * 1000, // Upper bound for everything done with one page
+    maxRelaunches: 5, // Give up after the browser crashed this many times
+    launchOptions: {}
+};
+
+/**
+ * Limit how many async tasks run at once.
+ *
+ * @param {number} concurrency
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+function createLimiter(concurrency) {
+    const waiting = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) return;
+        active++;
+        const { task, resolve, reject } = waiting.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Run `fn` over `items` with at most `concurrency` calls in flight, keeping
+ * results in input order.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const limit = createLimiter(concurrency);
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a pool around a single shared Chromium instance.
+ *
+ * The browser is launched on first use and relaunched when it crashes or
+ * disconnects. `withPage` hands out fresh pages, never more than `maxPages`
+ * at once, and closes them again however the task ends.
+ *
+ * @param {{ maxPages?: number, pageTimeout?: number, maxRelaunches?: number, launchOptions?: Object }} [options]
+ */
+function createBrowserPool(options = {}) {
+    const { maxPages, pageTimeout, maxRelaunches, launchOptions } = { ...DEFAULT_OPTIONS, ...options };
+    const limit = createLimiter(maxPages);
+
+    let browserPromise = null;
+    let launches = 0;
+    let closing = false;
+
+    const getBrowser = () => {
+        if (browserPromise) return browserPromise;
+        if (launches > maxRelaunches) {
+            return Promise.reject(new Error(`Browser crashed ${launches} times, not relaunching`));
+        }
+
+        launches++;
+        console.log(launches === 1 ? 'Launching browser...' : `Relaunching browser (attempt ${launches})...`);
+        const launching = puppeteer.launch(launchOptions).then(browser => {
+            browser.on('disconnected', () => {
+                if (!closing) console.error('Browser disconnected unexpectedly.');
+                if (browserPromise === launching) browserPromise = null;
+            });
+            return browser;
+        });
+        browserPromise = launching;
+        launching.catch(() => {
+            if (browserPromise === launching) browserPromise = null;
+        });
+        return launching;
+    };
+
+    const runOnPage = async (task, timeout) => {
+        const browser = await getBrowser();
+        const page = await browser.newPage();
+        page.setDefaultTimeout(timeout);
+        page.setDefaultNavigationTimeout(timeout);
+
+        try {
+            return await withTimeout(task(page, { deadline: Date.now() + timeout }), timeout, `Page task timed out after ${timeout}ms`);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    };
+
+    /**
+     * Run `task` with a new page. If the browser dies while the task runs,
+     * it is relaunched and the task retried once. The task is told the
+     * deadline it is timed out at, to wrap up before it.
+     *
+     * With `url`, the host's rate limit is waited for before a page is
+     * opened and the timeout starts, so the task can navigate there at once
+     * with `page.goto`. Waiting on a slow site then neither holds a page nor
+     * eats into the time the page may take.
+     *
+     * @template T
+     * @param {(page: import('puppeteer').Page, timing: { deadline: number }) => Promise<T>} task
+     * @param {{ timeout?: number, url?: string }} [taskOptions]
+     * @returns {Promise<T>}
+     */
+    const withPage = async (task, taskOptions = {}) => {
+        const timeout = taskOptions.timeout || pageTimeout;
+        if (taskOptions.url) await acquireHostSlot(taskOptions.url);
+
+        return limit(async () => {
+            try {
+                return await runOnPage(task, timeout);
+            } catch (error) {
+                const browser = browserPromise ? await browserPromise.catch(() => null) : null;
+                if (closing || (browser && browser.isConnected())) throw error;
+
+                console.error(`Browser crashed during a page task (${error.message}). Retrying with a new browser...`);
+                if (taskOptions.url) await acquireHostSlot(taskOptions.url);
+                return runOnPage(task, timeout);
+            }
+        });
+    };
+
+    const close = async () => {
+        closing = true;
+        if (!browserPromise) return;
+        const browser = await browserPromise.catch(() => null);
+        browserPromise = null;
+        if (browser) await browser.close().catch(() => {});
+    };
+
+    return { withPage, close };
+}
+
+/**
+ * Navigate `page` to `url` once the host's rate limit allows it, so the
+ * browser is as polite to a site as the HTTP client. For navigations later
+ * in a page task; the first one is better left to `withPage`'s `url`, as
+ * this waits within the task's timeout.
+ */
+async function gotoPolitely(page, url, options) {
+    await acquireHostSlot(url);
+    return page.goto(url, options);
+}
+
+module.exports = {
+    createBrowserPool,
+    createLimiter,
+    mapWithConcurrency,
+    gotoPolitely
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveTemplateDir } = require('./templates');
+const { DEFAULT_DAILY_CAP } = require('./delivery');
+
+// Read from the working directory when --config is not given
+const DEFAULT_CONFIG_FILE = 'finding-ssr.config.json';
+
+const DEFAULT_CONFIG = {
+    senders: {
+        default: {
+            name: 'Ronak Jindal',
+            title: 'Founder',
+            company: 'Cam to You',
+            companyUrl: 'https://www.camtoyou.com',
+            linkedin: 'https://www.linkedin.com/in/ronakjindal',
+            email: null
+        }
+    },
+    campaigns: {
+        default: {
+            template: 'default',
+            sender: 'default'
+        }
+    },
+    delivery: {
+        // Passed to nodemailer.createTransport: { host, port, secure, auth: { user, pass } }
+        smtp: null,
+        dailyCap: DEFAULT_DAILY_CAP
+    }
+};
+
+/**
+ * Load sender profiles and campaigns, layered over the built-in defaults.
+ *
+ * @param {string} [file] Config file; when omitted finding-ssr.config.json is used if present
+ */
+function loadConfig(file) {
+    const configFile = file || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    if (!configFile) return { ...DEFAULT_CONFIG, baseDir: process.cwd() };
+
+    if (!fs.existsSync(configFile)) throw new Error(`Config file not found: ${configFile}`);
+
+    let userConfig;
+    try {
+        userConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Config file ${configFile} is not valid JSON: ${error.message}`);
+    }
+
+    return {
+        senders: { ...DEFAULT_CONFIG.senders, ...(userConfig.senders || {}) },
+        campaigns: { ...DEFAULT_CONFIG.campaigns, ...(userConfig.campaigns || {}) },
+        delivery: { ...DEFAULT_CONFIG.delivery, ...(userConfig.delivery || {}) },
+        // Template paths in the config are relative to the config file
+        baseDir: path.dirname(path.resolve(configFile))
+    };
+}
+
+/**
+ * Work out the template and sender for a campaign. `sender` and `template`
+ * override what the campaign itself specifies.
+ *
+ * @param {ReturnType<typeof loadConfig>} config
+ * @param {{ campaign?: string, sender?: string, template?: string }} [selection]
+ */
+function resolveCampaign(config, { campaign = 'default', sender, template } = {}) {
+    const campaignConfig = config.campaigns[campaign];
+    if (!campaignConfig) {
+        throw new Error(`Unknown campaign "${campaign}". Available campaigns: ${Object.keys(config.campaigns).join(', ')}`);
+    }
+
+    const senderName = sender || campaignConfig.sender || 'default';
+    const senderProfile = config.senders[senderName];
+    if (!senderProfile) {
+        throw new Error(`Unknown sender "${senderName}". Available senders: ${Object.keys(config.senders).join(', ')}`);
+    }
+
+    return {
+        name: campaign,
+        templateDir: template
+            ? resolveTemplateDir(template)
+            : resolveTemplateDir(campaignConfig.template || 'default', config.baseDir),
+        sender: { ...senderProfile, id: senderName },
+        subject: campaignConfig.subject || null,
+        // List-Unsubscribe target, a mailto: or https: URL
+        unsubscribe: campaignConfig.unsubscribe || null
+    };
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    DEFAULT_CONFIG,
+    loadConfig,
+    resolveCampaign
+};
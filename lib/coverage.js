@@ -0,0 +1,304 @@
+const cheerio = require('cheerio');
+
+// Elements treated as a single block of readable content
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, figcaption, td, th, dt, dd, pre, label, summary';
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const BOILERPLATE_SELECTOR = 'header, nav, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]';
+const MAIN_SELECTOR = 'main, article, [role="main"]';
+// Overlays that are never page content, whichever render they appear in
+const OVERLAY_PATTERN = /cookie|consent|gdpr|onetrust|cc-banner|newsletter-popup/i;
+// Text a client-rendered shell shows before its content arrives
+const PLACEHOLDER_PATTERN = /^(loading\b|please wait|you need to enable javascript|enable javascript|javascript is required|this app works best with javascript)/i;
+
+const REGION_WEIGHTS = {
+    main: 1,
+    body: 0.7,
+    boilerplate: 0.2
+};
+
+// Blocks whose text is found less than this in the no-JS render count as missing
+const MISSING_THRESHOLD = 0.5;
+const SHINGLE_SIZE = 3;
+
+function normalizeText(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function words(text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function shingles(tokens) {
+    const result = new Set();
+    if (tokens.length < SHINGLE_SIZE) {
+        if (tokens.length > 0) result.add(tokens.join(' '));
+        return result;
+    }
+    for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+        result.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return result;
+}
+
+function blockType(tag) {
+    if (HEADING_TAGS.includes(tag)) return 'heading';
+    if (tag === 'p' || tag === 'blockquote' || tag === 'pre') return 'paragraph';
+    if (tag === 'li' || tag === 'dt' || tag === 'dd') return 'list item';
+    if (tag === 'td' || tag === 'th') return 'table cell';
+    return 'text';
+}
+
+function regionOf($, el) {
+    if ($(el).closest(MAIN_SELECTOR).length > 0) return 'main';
+    if ($(el).closest(BOILERPLATE_SELECTOR).length > 0) return 'boilerplate';
+    return 'body';
+}
+
+function isOverlay($, el) {
+    return $(el).parents().addBack().toArray().some(node => {
+        const attrs = `${$(node).attr('id') || ''} ${$(node).attr('class') || ''} ${$(node).attr('aria-label') || ''}`;
+        return OVERLAY_PATTERN.test(attrs);
+    });
+}
+
+/**
+ * Split a rendered document into readable text blocks and links.
+ *
+ * Blocks are the innermost matching block elements, plus any element with
+ * its own text that is not inside one (client-rendered apps often put text
+ * straight into <div>s). Cookie banners and similar overlays are dropped.
+ *
+ * @param {string} html
+ */
+function extractBlocks(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template, svg, iframe').remove();
+
+    const blocks = [];
+    const seen = new Set();
+
+    const addBlock = (el, tag) => {
+        if (seen.has(el) || isOverlay($, el)) return;
+        seen.add(el);
+        const text = $(el).text().replace(/\s+/g, ' ').trim();
+        if (!text || PLACEHOLDER_PATTERN.test(text)) return;
+        blocks.push({
+            type: blockType(tag),
+            tag,
+            region: regionOf($, el),
+            text,
+            words: words(normalizeText(text)).length
+        });
+    };
+
+    $('body').find(BLOCK_SELECTOR).each((_, el) => {
+        if ($(el).find(BLOCK_SELECTOR).length === 0) addBlock(el, el.tagName.toLowerCase());
+    });
+
+    // Loose text in containers that are not block elements themselves
+    $('body, body *').not(BLOCK_SELECTOR).each((_, el) => {
+        if ($(el).closest(BLOCK_SELECTOR).length > 0) return;
+        if ($(el).parents().toArray().some(parent => seen.has(parent))) return;
+        const ownText = $(el).contents().toArray()
+            .filter(node => node.type === 'text')
+            .map(node => node.data)
+            .join(' ')
+            .trim();
+        if (ownText && $(el).find(BLOCK_SELECTOR).length === 0 && el.tagName.toLowerCase() !== 'a') {
+            addBlock(el, el.tagName.toLowerCase());
+        }
+    });
+
+    const links = [];
+    $('body a[href]').each((_, el) => {
+        if (isOverlay($, el)) return;
+        const href = ($(el).attr('href') || '').trim();
+        if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return;
+        links.push({
+            href,
+            text: $(el).text().replace(/\s+/g, ' ').trim() || $(el).attr('aria-label') || '',
+            region: regionOf($, el)
+        });
+    });
+
+    return { blocks, links };
+}
+
+function normalizeHref(href) {
+    return href.replace(/#.*$/, '').replace(/\/$/, '');
+}
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+// Scripts written without spaces, where a word may end next to any letter
+const UNSPACED_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+function splitsWord(before, after) {
+    return WORD_CHARACTER.test(before) && WORD_CHARACTER.test(after) &&
+        !(UNSPACED_CHARACTER.test(before) && UNSPACED_CHARACTER.test(after));
+}
+
+// Whether `text` contains `part` starting and ending on word boundaries, so
+// "Price" is not found in "Priceless"
+function containsWords(text, part) {
+    for (let index = text.indexOf(part); index !== -1; index = text.indexOf(part, index + 1)) {
+        const end = index + part.length;
+        if (!splitsWord(text.charAt(index - 1), part.charAt(0)) && !splitsWord(part.charAt(part.length - 1), text.charAt(end))) return true;
+    }
+    return false;
+}
+
+// How much of a block's text a reference render contains, from 0 to 1: 1 for
+// an exact match of whole words, otherwise the share of its shingles found
+// there
+function presenceIn(reference) {
+    const referenceText = normalizeText(reference.blocks.map(block => block.text).join(' '));
+    const referenceShingles = shingles(words(referenceText));
+
+    return block => {
+        const normalized = normalizeText(block.text);
+        if (containsWords(referenceText, normalized)) return 1;
+        const blockShingles = shingles(words(normalized));
+        const found = Array.from(blockShingles).filter(shingle => referenceShingles.has(shingle)).length;
+        return blockShingles.size > 0 ? found / blockShingles.size : 0;
+    };
+}
+
+/**
+ * Compare the no-JS and JS renders of a page block by block.
+ *
+ * Every block of the JS render is looked up in the no-JS render (by exact
+ * text, then by word shingles so re-wrapped text still matches) and weighted
+ * by its length and by where it sits: main content counts fully, nav/header/
+ * footer boilerplate much less. The score is the weighted share of JS content
+ * already present without JS, so it never exceeds 100.
+ *
+ * @param {string} initialHtml HTML captured with JavaScript disabled
+ * @param {string} finalHtml HTML captured after JavaScript ran
+ */
+function analyzeContentCoverage(initialHtml, finalHtml) {
+    const initial = extractBlocks(initialHtml);
+    const final = extractBlocks(finalHtml);
+    const presenceInInitial = presenceIn(initial);
+
+    let totalWeight = 0;
+    let coveredWeight = 0;
+    const missingBlocks = [];
+
+    final.blocks.forEach(block => {
+        if (block.words === 0) return;
+        const presence = presenceInInitial(block);
+
+        const weight = block.words * REGION_WEIGHTS[block.region];
+        totalWeight += weight;
+        coveredWeight += weight * presence;
+
+        if (presence < MISSING_THRESHOLD) {
+            missingBlocks.push({ type: block.type, tag: block.tag, region: block.region, text: block.text });
+        }
+    });
+
+    const initialHrefs = new Set(initial.links.map(link => normalizeHref(link.href)));
+    const missingLinks = [];
+    const reportedHrefs = new Set();
+    final.links.forEach(link => {
+        const href = normalizeHref(link.href);
+        if (initialHrefs.has(href) || reportedHrefs.has(href)) return;
+        reportedHrefs.add(href);
+        missingLinks.push(link);
+    });
+
+    const score = totalWeight === 0 ? 100 : Math.min(100, (coveredWeight / totalWeight) * 100);
+
+    return {
+        score: Math.round(score * 100) / 100,
+        missingBlocks,
+        missingHeadings: missingBlocks.filter(block => block.type === 'heading'),
+        missingParagraphs: missingBlocks.filter(block => block.type === 'paragraph'),
+        missingLinks,
+        totals: {
+            blocks: final.blocks.length,
+            missingBlocks: missingBlocks.length,
+            links: final.links.length,
+            missingLinks: missingLinks.length
+        }
+    };
+}
+
+const CONTENT_BUCKETS = {
+    server: 'Server-rendered',
+    clientOnLoad: 'Client-rendered on load',
+    afterInteraction: 'Client-rendered after interaction'
+};
+
+/**
+ * Sort the content of a page into three buckets, weighted like the coverage
+ * score: in the server HTML, added by JavaScript on load, or only added
+ * after scrolling and clicking. Google does not scroll or click, so the
+ * last bucket is content it will not see even when it renders JavaScript.
+ *
+ * @param {string} initialHtml HTML without JavaScript
+ * @param {string} loadHtml HTML once the page has loaded and settled
+ * @param {string} interactedHtml HTML after the interaction phase
+ * @returns {{ percentages: { server: number, clientOnLoad: number, afterInteraction: number }, afterInteractionBlocks: Object[], afterInteractionHeadings: Object[] }}
+ */
+function classifyContent(initialHtml, loadHtml, interactedHtml) {
+    const presenceInInitial = presenceIn(extractBlocks(initialHtml));
+    const presenceOnLoad = presenceIn(extractBlocks(loadHtml));
+
+    const weights = { server: 0, clientOnLoad: 0, afterInteraction: 0 };
+    const afterInteractionBlocks = [];
+    extractBlocks(interactedHtml).blocks.forEach(block => {
+        if (block.words === 0) return;
+        const weight = block.words * REGION_WEIGHTS[block.region];
+
+        if (presenceInInitial(block) >= MISSING_THRESHOLD) {
+            weights.server += weight;
+        } else if (presenceOnLoad(block) >= MISSING_THRESHOLD) {
+            weights.clientOnLoad += weight;
+        } else {
+            weights.afterInteraction += weight;
+            afterInteractionBlocks.push({ type: block.type, tag: block.tag, region: block.region, text: block.text });
+        }
+    });
+
+    const total = weights.server + weights.clientOnLoad + weights.afterInteraction;
+    const percentages = {};
+    Object.keys(weights).forEach(bucket => {
+        percentages[bucket] = total === 0 ? 0 : Math.round((weights[bucket] / total) * 10000) / 100;
+    });
+    if (total === 0) percentages.server = 100;
+
+    return {
+        percentages,
+        afterInteractionBlocks,
+        afterInteractionHeadings: afterInteractionBlocks.filter(block => block.type === 'heading')
+    };
+}
+
+function contentBucketColumns(classification) {
+    const columns = {};
+    Object.keys(CONTENT_BUCKETS).forEach(bucket => {
+        columns[`content_${bucket}`] = classification ? classification.percentages[bucket].toFixed(2) : 'N/A';
+    });
+    columns.afterInteractionHeadings = classification
+        ? classification.afterInteractionHeadings.slice(0, 5).map(block => block.text).join(' | ')
+        : 'N/A';
+    return columns;
+}
+
+function contentBucketHeaders() {
+    return [
+        ...Object.keys(CONTENT_BUCKETS).map(bucket => ({ id: `content_${bucket}`, title: `${CONTENT_BUCKETS[bucket]} %` })),
+        { id: 'afterInteractionHeadings', title: 'Headings after Interaction' }
+    ];
+}
+
+module.exports = {
+    CONTENT_BUCKETS,
+    analyzeContentCoverage,
+    classifyContent,
+    contentBucketColumns,
+    contentBucketHeaders,
+    extractBlocks
+};
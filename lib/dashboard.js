@@ -0,0 +1,357 @@
+const fs = require('fs');
+const { escapeHtml } = require('./templates');
+const { STATUS_LABELS } = require('./seo-parity');
+const { renderWordCloudPng } = require('./word-cloud');
+const { buildWordData } = require('./email');
+const { getDevice } = require('./devices');
+
+// SSR coverage histogram: ten buckets of ten percentage points
+const COVERAGE_BUCKETS = 10;
+
+const STYLES = `
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Arial, sans-serif; color: #222; background: #f4f4f4; }
+  header { background: #004080; color: #fff; padding: 16px 24px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 4px 0 0; opacity: 0.8; }
+  main { padding: 16px 24px; }
+  section { background: #fff; padding: 16px; margin-bottom: 16px; border-radius: 4px; }
+  h2 { margin-top: 0; color: #004080; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+  .charts figure { margin: 0; flex: 1 1 420px; }
+  figcaption { font-weight: bold; margin-bottom: 8px; }
+  .counts span { display: inline-block; margin-right: 24px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e4e4; vertical-align: top; }
+  th.sortable { cursor: pointer; user-select: none; white-space: nowrap; }
+  th.sortable::after { content: " \\2195"; color: #999; }
+  th[aria-sort="ascending"]::after { content: " \\2191"; color: #222; }
+  th[aria-sort="descending"]::after { content: " \\2193"; color: #222; }
+  td.number { text-align: right; font-variant-numeric: tabular-nums; }
+  .status-failed { color: #b00020; font-weight: bold; }
+  .status-skipped { color: #777; }
+  .error { color: #b00020; }
+  .site { display: block; }
+  .js .site { display: none; }
+  .js .site.active { display: block; }
+  .js #overview.hidden { display: none; }
+  .missing li { margin-bottom: 4px; }
+  .tag { display: inline-block; font-size: 11px; padding: 1px 6px; border-radius: 8px; background: #e8eef6; color: #004080; margin-right: 4px; }
+  img { max-width: 100%; height: auto; }
+  dl.columns { display: grid; grid-template-columns: max-content auto; gap: 2px 16px; font-size: 13px; }
+  dl.columns dt { color: #555; }
+  dl.columns dd { margin: 0; word-break: break-word; }
+`;
+
+// Sorts the sites table on header clicks and shows one site at a time from the URL hash
+const SCRIPT = `
+document.documentElement.classList.add('js');
+document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th.sortable').forEach(function (th, column) {
+    th.addEventListener('click', function () {
+      var ascending = th.getAttribute('aria-sort') !== 'ascending';
+      table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+      th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      var value = function (row) {
+        var cell = row.cells[column];
+        var raw = cell.getAttribute('data-sort');
+        return raw !== null && raw !== '' && !isNaN(raw) ? parseFloat(raw) : cell.textContent.trim().toLowerCase();
+      };
+      rows.sort(function (a, b) {
+        var x = value(a), y = value(b);
+        if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+        return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+function route() {
+  var id = location.hash.slice(1);
+  var site = id && document.getElementById(id);
+  var showSite = site && site.classList.contains('site');
+  document.querySelectorAll('.site').forEach(function (section) { section.classList.toggle('active', section === site); });
+  document.getElementById('overview').classList.toggle('hidden', Boolean(showSite));
+  if (showSite) window.scrollTo(0, 0);
+}
+window.addEventListener('hashchange', route);
+route();
+`;
+
+function numberOrNull(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+function average(values) {
+    return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function formatPercentage(value) {
+    return value == null ? 'N/A' : value.toFixed(2);
+}
+
+function siteId(index) {
+    return `site-${index + 1}`;
+}
+
+// Inline PNG, so the report needs nothing but itself
+function imageFromFile(file, alt) {
+    if (!file || !fs.existsSync(file)) return '';
+    return `<img src="data:image/png;base64,${fs.readFileSync(file).toString('base64')}" alt="${escapeHtml(alt)}">`;
+}
+
+/**
+ * Vertical bar chart as inline SVG.
+ *
+ * @param {Array<{ label: string, value: number }>} bars
+ */
+function barChartSvg(bars, { width = 480, height = 220, color = '#004080' } = {}) {
+    const top = 16;
+    const bottom = 40;
+    const left = 36;
+    const plotHeight = height - top - bottom;
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = (width - left) / Math.max(1, bars.length);
+    const barWidth = Math.max(4, slot * 0.7);
+
+    const parts = bars.map((bar, index) => {
+        const barHeight = (bar.value / max) * plotHeight;
+        const x = left + index * slot + (slot - barWidth) / 2;
+        const y = top + plotHeight - barHeight;
+        return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}"><title>${escapeHtml(`${bar.label}: ${bar.value}`)}</title></rect>` +
+            (bar.value > 0 ? `<text x="${(x + barWidth / 2).toFixed(1)}" y="${(y - 4).toFixed(1)}" font-size="11" text-anchor="middle">${bar.value}</text>` : '') +
+            `<text x="${(x + barWidth / 2).toFixed(1)}" y="${height - bottom + 16}" font-size="11" text-anchor="middle">${escapeHtml(bar.label)}</text>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" font-family="Arial, sans-serif">` +
+        `<line x1="${left}" y1="${top + plotHeight}" x2="${width}" y2="${top + plotHeight}" stroke="#999"/>` +
+        `<text x="${left - 6}" y="${top + 4}" font-size="11" text-anchor="end">${max}</text>` +
+        `<text x="${left - 6}" y="${top + plotHeight}" font-size="11" text-anchor="end">0</text>` +
+        `${parts.join('')}</svg>`;
+}
+
+/**
+ * Pages per SSR coverage bucket (0-10%, 10-20%, ..., 90-100%), over every
+ * analyzed page of every site.
+ */
+function coverageDistribution(sites) {
+    const counts = new Array(COVERAGE_BUCKETS).fill(0);
+    sites.forEach(site => site.records.forEach(record => {
+        const percentage = numberOrNull(record.ssrPercentage);
+        if (percentage == null) return;
+        counts[Math.min(COVERAGE_BUCKETS - 1, Math.floor(percentage / (100 / COVERAGE_BUCKETS)))]++;
+    }));
+    const size = 100 / COVERAGE_BUCKETS;
+    return counts.map((value, index) => ({ label: `${index * size}-${(index + 1) * size}`, value }));
+}
+
+// Sites per detected framework, most common first
+function frameworkBreakdown(sites) {
+    const counts = new Map();
+    sites.forEach(site => {
+        const framework = site.status === 'failed' ? 'Failed' : (site.records[0] && site.records[0].framework) || 'Unknown';
+        counts.set(framework, (counts.get(framework) || 0) + 1);
+    });
+    return Array.from(counts.entries())
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value || (a.label < b.label ? -1 : 1));
+}
+
+function siteSummary(site) {
+    const percentages = site.records.map(record => numberOrNull(record.ssrPercentage)).filter(value => value != null);
+    return {
+        framework: site.records[0] ? site.records[0].framework : '',
+        confidence: site.records[0] ? site.records[0].frameworkConfidence : '',
+        pages: percentages.length,
+        lowest: percentages.length > 0 ? Math.min(...percentages) : null,
+        average: average(percentages)
+    };
+}
+
+// The site's error with its category, or how many of its pages failed
+function siteError(site) {
+    if (site.error) return site.errorCategory ? `${site.errorCategory}: ${site.error}` : site.error;
+    const failedPages = site.records.filter(record => record.errorCategory).length;
+    return failedPages > 0 ? `${failedPages} page(s) failed` : '';
+}
+
+function sitesTable(sites) {
+    const rows = sites.map((site, index) => {
+        const summary = siteSummary(site);
+        return `<tr>
+      <td><a href="#${siteId(index)}">${escapeHtml(site.baseUrl)}</a></td>
+      <td class="status-${escapeHtml(site.status)}">${escapeHtml(site.status)}</td>
+      <td>${escapeHtml(summary.framework)}</td>
+      <td>${escapeHtml(summary.confidence)}</td>
+      <td class="number" data-sort="${summary.pages}">${summary.pages}</td>
+      <td class="number" data-sort="${summary.lowest == null ? '' : summary.lowest}">${formatPercentage(summary.lowest)}</td>
+      <td class="number" data-sort="${summary.average == null ? '' : summary.average}">${formatPercentage(summary.average)}</td>
+      <td class="error">${escapeHtml(siteError(site))}</td>
+    </tr>`;
+    });
+
+    const headings = ['Site', 'Status', 'Framework', 'Confidence', 'Pages', 'Lowest SSR %', 'Average SSR %', 'Error'];
+    return `<table class="sortable">
+    <thead><tr>${headings.map(heading => `<th class="sortable" scope="col">${heading}</th>`).join('')}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+}
+
+function templatesTable(templates) {
+    if (!templates || templates.length === 0) return '';
+    return `<h3>Route templates</h3>
+    <table>
+      <thead><tr><th>Template</th><th>Pages in sitemap</th><th>Analyzed</th><th>SSR %</th></tr></thead>
+      <tbody>${templates.map(summary => `<tr><td>${escapeHtml(summary.template)}</td><td class="number">${summary.pages}</td><td class="number">${summary.analyzed}</td><td class="number">${escapeHtml(summary.ssrPercentage)}</td></tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function wordCloudSection(email) {
+    if (!email || !email.userWordCounts) return '';
+    const words = buildWordData(email.userWordCounts, email.googleWordCounts || {});
+    if (words.length === 0) return '';
+    const png = renderWordCloudPng(words, { legend: true });
+    return `<h3>Word cloud: ${escapeHtml(email.pageTitle || email.pageUrl)}</h3>
+    <p>Words of the page with the lowest SSR coverage; gray ones are only there once JavaScript has run (about ${escapeHtml(email.unreadablePercentage)}% of the content).</p>
+    <img src="data:image/png;base64,${png.toString('base64')}" alt="${escapeHtml(`Word cloud for ${email.pageTitle || email.pageUrl}`)}">`;
+}
+
+function seoSection(email) {
+    if (!email || !email.seoParity || email.seoParity.atRisk.length === 0) return '';
+    const items = email.seoParity.atRisk.map(key => {
+        const element = email.seoParity.elements[key];
+        return `<li><strong>${escapeHtml(element.label)}</strong>: ${escapeHtml(STATUS_LABELS[element.status])}</li>`;
+    });
+    return `<h3>SEO markup set by JavaScript</h3><ul>${items.join('')}</ul>`;
+}
+
+// How the page renders as the other device profiles, next to the main one
+function devicesSection(details) {
+    if (!details || !details.devices || details.devices.length === 0) return '';
+    const main = getDevice(details.device).label;
+    const blockList = blocks => (blocks.length > 0 ? `<ul class="missing">${blocks.map(block => `<li>${escapeHtml(block.text)}</li>`).join('')}</ul>` : '');
+    const rows = details.devices.map(difference => `<tr>
+        <td>${escapeHtml(getDevice(difference.device).label)}</td>
+        ${difference.error
+        ? `<td class="error" colspan="3">Failed (${escapeHtml(difference.error.category)}): ${escapeHtml(difference.error.message)}</td>`
+        : `<td class="number">${escapeHtml(difference.ssrPercentage)}</td><td>${blockList(difference.onlyMain)}</td><td>${blockList(difference.onlyHere)}</td>`}
+      </tr>`);
+    return `<h4>Devices</h4>
+    <table>
+      <thead><tr><th>Device</th><th>SSR %</th><th>Only on ${escapeHtml(main)}</th><th>Only on this device</th></tr></thead>
+      <tbody><tr><td>${escapeHtml(main)} (main)</td><td class="number">${escapeHtml(details.ssrPercentage)}</td><td></td><td></td></tr>${rows.join('')}</tbody>
+    </table>`;
+}
+
+function failedPageSection(record) {
+    return `<h3><a href="${escapeHtml(record.analyzedUrl)}">${escapeHtml(record.analyzedUrl)}</a></h3>
+    <p class="error">Analysis failed (${escapeHtml(record.errorCategory)}): ${escapeHtml(record.errorMessage)}</p>`;
+}
+
+function pageSection(record, details, columns) {
+    const blocks = details && details.missingBlocks ? details.missingBlocks : [];
+    const missing = blocks.length > 0
+        ? `<ul class="missing">${blocks.map(block => `<li><span class="tag">${escapeHtml(block.type)}</span>${block.region ? `<span class="tag">${escapeHtml(block.region)}</span>` : ''}${escapeHtml(block.text)}</li>`).join('')}</ul>`
+        : `<p>${record.missingBlocks > 0 ? `${escapeHtml(record.missingBlocks)} block(s) missing without JavaScript.` : 'No content missing without JavaScript.'}</p>`;
+    const screenshots = details && details.screenshots
+        ? imageFromFile(details.screenshots.composite, `${record.analyzedUrl} without and with JavaScript`) + imageFromFile(details.screenshots.diff, `${record.analyzedUrl} with content only shown with JavaScript in red`)
+        : '';
+
+    return `<h3><a href="${escapeHtml(record.analyzedUrl)}">${escapeHtml(record.analyzedUrl)}</a></h3>
+    <p>SSR coverage ${escapeHtml(record.ssrPercentage)}%${record.template ? `, route template <code>${escapeHtml(record.template)}</code>` : ''}</p>
+    <h4>Missing without JavaScript</h4>
+    ${missing}
+    ${devicesSection(details)}
+    ${screenshots}
+    <details>
+      <summary>All columns</summary>
+      <dl class="columns">${columns.map(({ id, title }) => `<dt>${escapeHtml(title)}</dt><dd>${escapeHtml(record[id] == null ? '' : record[id])}</dd>`).join('')}</dl>
+    </details>`;
+}
+
+function siteSection(site, index, columns) {
+    const summary = siteSummary(site);
+    const fingerprint = site.fingerprint || {};
+    const detailsOf = record => (site.pages || []).find(page => page.url === record.analyzedUrl);
+    // Pages that failed have details too, unlike the record of a site that failed as a whole
+    const pages = site.records
+        .filter(record => numberOrNull(record.ssrPercentage) != null || (record.errorCategory && detailsOf(record)))
+        .map(record => record.errorCategory ? failedPageSection(record) : pageSection(record, detailsOf(record), columns));
+
+    return `<section class="site" id="${siteId(index)}">
+    <p><a href="#">&larr; All sites</a></p>
+    <h2>${escapeHtml(site.baseUrl)}</h2>
+    <dl class="columns">
+      <dt>Status</dt><dd class="status-${escapeHtml(site.status)}">${escapeHtml(site.status)}</dd>
+      <dt>Framework</dt><dd>${escapeHtml(summary.framework)}${fingerprint.version ? ` ${escapeHtml(fingerprint.version)}` : ''}</dd>
+      <dt>Detection confidence</dt><dd>${escapeHtml(summary.confidence)}</dd>
+      ${fingerprint.signals && fingerprint.signals.length ? `<dt>Detected by</dt><dd>${escapeHtml(fingerprint.signals.map(signal => signal.detail).join(', '))}</dd>` : ''}
+      <dt>Pages analyzed</dt><dd>${summary.pages}</dd>
+      <dt>Lowest / average SSR %</dt><dd>${formatPercentage(summary.lowest)} / ${formatPercentage(summary.average)}</dd>
+      ${siteError(site) ? `<dt>Error</dt><dd class="error">${escapeHtml(siteError(site))}</dd>` : ''}
+    </dl>
+    ${templatesTable(site.templates)}
+    ${wordCloudSection(site.email)}
+    ${seoSection(site.email)}
+    ${pages.join('\n')}
+  </section>`;
+}
+
+/**
+ * A whole run as one static HTML page: summary charts, a sortable table of
+ * sites and a drill-down section per site with its pages' missing content,
+ * word cloud, screenshots and every CSV column. Images, styles and script
+ * are inline, so the file opens from disk without network access.
+ *
+ * @param {Object[]} sites Site results, as written to the JSON output
+ * @param {{ columns: Array<{ id: string, title: string }>, generatedAt?: string }} options
+ * @returns {string}
+ */
+function renderDashboard(sites, { columns, generatedAt = new Date().toISOString() }) {
+    const counts = { done: 0, skipped: 0, failed: 0 };
+    sites.forEach(site => {
+        counts[site.status] = (counts[site.status] || 0) + 1;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>SSR report</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>SSR report</h1>
+  <p>${sites.length} site(s), generated ${escapeHtml(generatedAt)}</p>
+</header>
+<main>
+  <div id="overview">
+    <section>
+      <p class="counts"><span><strong>${counts.done}</strong> analyzed</span><span><strong>${counts.skipped}</strong> skipped (no framework)</span><span><strong>${counts.failed}</strong> failed</span></p>
+      <div class="charts">
+        <figure><figcaption>Pages by SSR coverage (%)</figcaption>${barChartSvg(coverageDistribution(sites))}</figure>
+        <figure><figcaption>Sites by framework</figcaption>${barChartSvg(frameworkBreakdown(sites), { color: '#4CAF50' })}</figure>
+      </div>
+    </section>
+    <section>
+      <h2>Sites</h2>
+      ${sitesTable(sites)}
+    </section>
+  </div>
+  ${sites.map((site, index) => siteSection(site, index, columns)).join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderDashboard,
+    coverageDistribution,
+    frameworkBreakdown
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const DEFAULT_DAILY_CAP = 50;
+
+const DELIVERY_STATUS = {
+    WRITTEN: 'written', // .eml written, nothing sent
+    DRY_RUN: 'dry-run', // would have been sent
+    SENT: 'sent',
+    SUPPRESSED: 'suppressed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+/**
+ * Domain of a URL, an email address or a bare domain, lowercased and
+ * without `www.`.
+ *
+ * @param {string} value
+ */
+function domainOf(value) {
+    const trimmed = String(value).trim().toLowerCase();
+    if (trimmed.includes('@') && !trimmed.includes('://')) return trimmed.split('@').pop();
+    try {
+        return new URL(trimmed.includes('://') ? trimmed : `http://${trimmed}`).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return trimmed.replace(/^www\./, '');
+    }
+}
+
+/**
+ * Read who to contact for each site from a CSV with `url` and `email`
+ * columns.
+ *
+ * @param {string} file
+ * @returns {Promise<Map<string, string>>} Recipient address by site domain
+ */
+function readRecipients(file) {
+    return new Promise((resolve, reject) => {
+        const recipients = new Map();
+        fs.createReadStream(file)
+            .on('error', reject)
+            .pipe(csv())
+            .on('data', row => {
+                if (row.url && row.url.trim() && row.email && row.email.trim()) {
+                    recipients.set(domainOf(row.url), row.email.trim());
+                }
+            })
+            .on('error', reject)
+            .on('end', () => resolve(recipients));
+    });
+}
+
+function normalizeSuppression(value) {
+    const trimmed = value.trim().toLowerCase();
+    return trimmed.includes('@') ? trimmed : domainOf(trimmed);
+}
+
+/**
+ * Domains and addresses that must never be contacted, one per line in a
+ * plain text file (`#` starts a comment). A domain also covers its
+ * subdomains and every address at it.
+ *
+ * @param {string} file
+ */
+function createSuppressionList(file) {
+    const entries = new Set();
+    if (fs.existsSync(file)) {
+        fs.readFileSync(file, 'utf8').split('\n')
+            .map(line => line.replace(/#.*$/, '').trim())
+            .filter(Boolean)
+            .forEach(line => entries.add(normalizeSuppression(line)));
+    }
+
+    const matchDomain = domain => {
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (entries.has(candidate)) return candidate;
+        }
+        return null;
+    };
+
+    return {
+        file,
+
+        /** The entry suppressing this site or recipient, or null. */
+        match(siteUrl, address) {
+            if (address && entries.has(address.trim().toLowerCase())) return address.trim().toLowerCase();
+            return matchDomain(domainOf(siteUrl)) || (address ? matchDomain(domainOf(address)) : null);
+        },
+
+        /** Add domains or addresses. Returns the ones that were new. */
+        add(values) {
+            const added = values.map(normalizeSuppression).filter((value, index, all) => value && !entries.has(value) && all.indexOf(value) === index);
+            if (added.length > 0) {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.appendFileSync(file, added.map(value => `${value}\n`).join(''));
+                added.forEach(value => entries.add(value));
+            }
+            return added;
+        }
+    };
+}
+
+/**
+ * Append-only record of every delivery attempt (NDJSON), used to enforce
+ * daily caps and to never email the same site twice for a campaign.
+ *
+ * @param {string} file
+ */
+function createSendLog(file) {
+    const entries = [];
+    if (fs.existsSync(file)) {
+        fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Torn line from an interrupted write
+            }
+        });
+    }
+
+    return {
+        file,
+
+        /** Messages sent on the same local day as `date`. */
+        sentOn(date = new Date()) {
+            const day = date.toDateString();
+            return entries.filter(entry => entry.status === DELIVERY_STATUS.SENT && new Date(entry.at).toDateString() === day).length;
+        },
+
+        wasSent(siteUrl, campaign) {
+            return entries.some(entry => entry.status === DELIVERY_STATUS.SENT && entry.site === siteUrl && entry.campaign === campaign);
+        },
+
+        append(entry) {
+            const logged = { at: new Date().toISOString(), ...entry };
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, `${JSON.stringify(logged)}\n`);
+            entries.push(logged);
+            return logged;
+        }
+    };
+}
+
+/**
+ * Nodemailer message for a rendered email: multipart/alternative text and
+ * HTML, with the `renderEmail` attachments embedded by CID.
+ *
+ * @param {{ subject: string, html: string, text: string, attachments?: Object[] }} rendered
+ * @param {{ from: { name: string, address: string }, to?: string, unsubscribe?: string }} envelope
+ */
+function buildMessage(rendered, { from, to, unsubscribe }) {
+    const message = {
+        from,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+        attachments: rendered.attachments || []
+    };
+    if (to) message.to = to;
+    if (unsubscribe) message.headers = { 'List-Unsubscribe': `<${unsubscribe}>` };
+    return message;
+}
+
+/**
+ * Compile a message to RFC 5322 bytes, as written to .eml files and sent.
+ *
+ * @returns {Promise<{ messageId: string, raw: Buffer }>}
+ */
+function compileMessage(message) {
+    const mail = new MailComposer(message).compile();
+    const messageId = mail.messageId();
+    return new Promise((resolve, reject) => {
+        mail.build((error, raw) => (error ? reject(error) : resolve({ messageId, raw })));
+    });
+}
+
+/**
+ * Deliver rendered emails: write .eml files, send them over SMTP, or both.
+ * Each attempt passes the suppression list, the one-email-per-site-per-
+ * campaign rule and the daily cap, and is recorded in the send log.
+ *
+ * With `dryRun` every check runs and .eml files are written, but nothing is
+ * sent. `transport` replaces the SMTP transport built from `smtp`, e.g. with
+ * one pointing at a local test server.
+ *
+ * @param {Object} options
+ * @param {Object} [options.smtp] nodemailer SMTP options or connection URL
+ * @param {Object} [options.transport] Ready nodemailer transport
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.emlDir] Where to write .eml files; none are written without it
+ * @param {number} [options.dailyCap]
+ * @param {ReturnType<typeof createSendLog>} options.sendLog
+ * @param {ReturnType<typeof createSuppressionList>} options.suppressions
+ */
+function createMailer({ smtp = null, transport = null, dryRun = false, emlDir = null, dailyCap = DEFAULT_DAILY_CAP, sendLog, suppressions }) {
+    const transporter = dryRun ? null : transport || (smtp ? nodemailer.createTransport(smtp) : null);
+    const sending = dryRun || Boolean(transporter);
+    // Dry runs count too, so they stop where a real run would
+    let sentToday = sendLog.sentOn();
+
+    const writeEml = (siteUrl, raw) => {
+        const file = path.join(emlDir, `email_${siteUrl.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.eml`);
+        fs.mkdirSync(emlDir, { recursive: true });
+        fs.writeFileSync(file, raw);
+        return file;
+    };
+
+    return {
+        sending,
+
+        /**
+         * @param {{ siteUrl: string, campaign: string, from: Object, to?: string, unsubscribe?: string, rendered: Object }} email
+         * @returns {Promise<Object>} The send log entry
+         */
+        async deliver({ siteUrl, campaign, from, to, unsubscribe, rendered }) {
+            const entry = { site: siteUrl, campaign, to: to || null, subject: rendered.subject };
+            const log = (status, details = {}) => sendLog.append({ ...entry, status, ...details });
+
+            const suppressedBy = suppressions.match(siteUrl, to);
+            if (suppressedBy) return log(DELIVERY_STATUS.SUPPRESSED, { reason: `suppressed: ${suppressedBy}` });
+
+            if (sending) {
+                if (!to) return log(DELIVERY_STATUS.SKIPPED, { reason: 'no recipient' });
+                if (sendLog.wasSent(siteUrl, campaign)) return log(DELIVERY_STATUS.SKIPPED, { reason: 'already sent for this campaign' });
+                if (sentToday >= dailyCap) return log(DELIVERY_STATUS.SKIPPED, { reason: `daily cap of ${dailyCap} reached` });
+            }
+
+            try {
+                const { messageId, raw } = await compileMessage(buildMessage(rendered, { from, to, unsubscribe }));
+                const eml = emlDir ? writeEml(siteUrl, raw) : null;
+
+                if (!sending) return log(DELIVERY_STATUS.WRITTEN, { messageId, eml });
+
+                if (dryRun) {
+                    sentToday++;
+                    return log(DELIVERY_STATUS.DRY_RUN, { messageId, eml });
+                }
+
+                const info = await transporter.sendMail({ envelope: { from: from.address, to }, raw });
+                sentToday++;
+                return log(DELIVERY_STATUS.SENT, { messageId, eml, response: info.response });
+            } catch (error) {
+                return log(DELIVERY_STATUS.FAILED, { reason: error.message });
+            }
+        },
+
+        close() {
+            if (transporter && transporter.close) transporter.close();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_DAILY_CAP,
+    DELIVERY_STATUS,
+    domainOf,
+    readRecipients,
+    createSuppressionList,
+    createSendLog,
+    buildMessage,
+    compileMessage,
+    createMailer
+};
@@ -0,0 +1,142 @@
+const { analyzeContentCoverage } = require('./coverage');
+
+// Profiles selectable with --device: the viewport and user agent pages are
+// rendered with. Crawlers render like Chrome, only their user agent differs.
+const DEVICES = {
+    mobile: {
+        label: 'Mobile',
+        viewport: { width: 375, height: 667, isMobile: true, hasTouch: true },
+        userAgent: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+    },
+    tablet: {
+        label: 'Tablet',
+        viewport: { width: 768, height: 1024, isMobile: true, hasTouch: true },
+        userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    },
+    desktop: {
+        label: 'Desktop',
+        viewport: { width: 1366, height: 768 },
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    },
+    'googlebot-smartphone': {
+        label: 'Googlebot Smartphone',
+        viewport: { width: 412, height: 732, isMobile: true, hasTouch: true },
+        userAgent: 'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.129 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        crawler: true
+    },
+    bingbot: {
+        label: 'Bingbot',
+        viewport: { width: 1366, height: 768 },
+        userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/120.0.6099.216 Safari/537.36',
+        crawler: true
+    }
+};
+
+// Rendered blocks kept per profile difference, for reports to show
+const MAX_DIFFERING_BLOCKS = 20;
+
+function getDevice(name) {
+    const device = DEVICES[name];
+    if (!device) {
+        throw new Error(`Unknown device "${name}". Available devices: ${Object.keys(DEVICES).join(', ')}`);
+    }
+    return device;
+}
+
+// Parse a "WIDTHxHEIGHT" viewport, e.g. 1280x800
+function parseViewport(value) {
+    const match = /^(\d+)x(\d+)$/i.exec(value || '');
+    if (!match) throw new Error(`Invalid viewport "${value}", expected WIDTHxHEIGHT`);
+    return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+}
+
+/**
+ * Make `page` render as the device profile `name`, before navigating.
+ * `viewport` replaces the profile's own when given.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} name One of DEVICES
+ * @param {{ viewport?: Object|null }} [options]
+ */
+async function emulateDevice(page, name, { viewport = null } = {}) {
+    const device = getDevice(name);
+    await page.setViewport(viewport || device.viewport);
+    await page.setUserAgent(device.userAgent);
+}
+
+/**
+ * What each other profile renders differently from the main one: its SSR
+ * percentage, and the rendered blocks only one of the two has. Content in
+ * the rendered pages is compared, so markup served to one user agent only,
+ * like a prerendered page for crawlers, shows up in the SSR percentages.
+ *
+ * @param {string} main Name of the main profile
+ * @param {Object<string, { finalHtml: string, ssrPercentage: string }|{ error: { category: string, message: string } }>} renders By profile name
+ * @returns {Array<{ device: string, ssrPercentage: string|null, error: Object|null, onlyMain: Object[], onlyHere: Object[] }>}
+ */
+function compareDevices(main, renders) {
+    const mainRender = renders[main];
+    return Object.keys(renders).filter(name => name !== main).map(name => {
+        const render = renders[name];
+        if (render.error) return { device: name, ssrPercentage: null, error: render.error, onlyMain: [], onlyHere: [] };
+
+        const text = block => ({ type: block.type, text: block.text });
+        return {
+            device: name,
+            ssrPercentage: render.ssrPercentage,
+            error: null,
+            onlyMain: analyzeContentCoverage(render.finalHtml, mainRender.finalHtml).missingBlocks.slice(0, MAX_DIFFERING_BLOCKS).map(text),
+            onlyHere: analyzeContentCoverage(mainRender.finalHtml, render.finalHtml).missingBlocks.slice(0, MAX_DIFFERING_BLOCKS).map(text)
+        };
+    });
+}
+
+function describeDifference(main, difference) {
+    const label = getDevice(difference.device).label;
+    if (difference.error) return `${label}: failed (${difference.error.category})`;
+    const parts = [];
+    if (difference.onlyMain.length > 0) parts.push(`${difference.onlyMain.length} block(s) only on ${getDevice(main).label}`);
+    if (difference.onlyHere.length > 0) parts.push(`${difference.onlyHere.length} only on ${label}`);
+    return parts.length > 0 ? `${label}: ${parts.join(', ')}` : null;
+}
+
+/**
+ * CSV columns with the SSR percentage of a page per profile, 'N/A' for
+ * profiles it was not rendered with, and its content that differs across
+ * them.
+ *
+ * @param {string|null} main Name of the main profile, null when the page was not analysed
+ * @param {string|null} ssrPercentage Of the main profile
+ * @param {ReturnType<typeof compareDevices>} [differences]
+ */
+function deviceColumns(main, ssrPercentage, differences = []) {
+    const columns = {};
+    Object.keys(DEVICES).forEach(name => {
+        columns[`ssr_${name}`] = 'N/A';
+    });
+    if (!main) return { ...columns, deviceDifferences: 'N/A' };
+
+    columns[`ssr_${main}`] = ssrPercentage;
+    differences.forEach(difference => {
+        columns[`ssr_${difference.device}`] = difference.error ? 'Error' : difference.ssrPercentage;
+    });
+    columns.deviceDifferences = differences.map(difference => describeDifference(main, difference)).filter(Boolean).join(' | ');
+    return columns;
+}
+
+function deviceHeaders() {
+    return [
+        ...Object.keys(DEVICES).map(name => ({ id: `ssr_${name}`, title: `SSR % (${DEVICES[name].label})` })),
+        { id: 'deviceDifferences', title: 'Differences across Devices' }
+    ];
+}
+
+module.exports = {
+    DEVICES,
+    getDevice,
+    parseViewport,
+    emulateDevice,
+    compareDevices,
+    deviceColumns,
+    deviceHeaders
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { STATUS_LABELS } = require('./seo-parity');
+const { COLORS, renderWordCloudPng, renderWordCloudSvg } = require('./word-cloud');
+const { describeFramework } = require('./framework');
+const { escapeHtml, loadTemplate, renderTemplate } = require('./templates');
+const { DEFAULT_CONFIG, resolveCampaign } = require('./config');
+const { extractText, declaredLanguage, detectLanguage, extractTerms, downweightTerms } = require('./terms');
+
+// Term counts of a text, see `extractTerms`
+function generateWordFrequencies(text, options) {
+    return extractTerms(text, options).counts;
+}
+
+const WORD_CLOUD_CID = 'word-cloud@finding-ssr';
+const SCREENSHOT_CID = 'screenshot@finding-ssr';
+
+// Screenshots that can be embedded in the email, see `saveScreenshots`
+const SCREENSHOT_KINDS = ['composite', 'diff'];
+
+// What we suggest to fix it, depending on the library the site is built with
+const SSR_RECOMMENDATIONS = {
+    React: 'Next.js',
+    Vue: 'Nuxt',
+    Svelte: 'SvelteKit',
+    Angular: 'Angular SSR'
+};
+
+/**
+ * Gather what the outreach email needs from the page with the lowest SSR
+ * percentage. The result is plain data, so it can be stored with the run's
+ * results and rendered again later without crawling.
+ *
+ * Word counts are per term in the page's language. `boilerplateTerms`, the
+ * terms on every sampled page of the site, are down-weighted in both.
+ * Screenshots are kept as file paths, read when the email is rendered.
+ *
+ * @param {string} baseUrl
+ * @param {Object} lowestSSRPage
+ * @param {Object|null} fingerprint
+ * @param {{ boilerplateTerms?: string[], stem?: boolean }} [options]
+ */
+function buildEmailData(baseUrl, lowestSSRPage, fingerprint, { boilerplateTerms = [], stem = false } = {}) {
+    const userText = extractText(lowestSSRPage.finalHtml);
+    const googleText = extractText(lowestSSRPage.initialHtml);
+    const language = lowestSSRPage.language || detectLanguage(userText, declaredLanguage(lowestSSRPage.finalHtml));
+    const wordCounts = text => downweightTerms(extractTerms(text, { language, stem }).counts, boilerplateTerms);
+
+    // Calculate the unreadable percentage based on the lowest SSR percentage
+    const unreadablePercentage = (100 - parseFloat(lowestSSRPage.ssrPercentage)).toFixed(2);
+
+    return {
+        baseUrl,
+        pageUrl: lowestSSRPage.url,
+        pageTitle: lowestSSRPage.pageTitle,
+        unreadablePercentage,
+        framework: fingerprint && fingerprint.framework ? describeFramework(fingerprint) : null,
+        frameworkVersion: fingerprint ? fingerprint.version : null,
+        library: fingerprint ? fingerprint.library : null,
+        missingHeadings: lowestSSRPage.coverage ? lowestSSRPage.coverage.missingHeadings.map(block => block.text).slice(0, 10) : [],
+        language,
+        userWordCounts: wordCounts(userText),
+        googleWordCounts: wordCounts(googleText),
+        seoParity: lowestSSRPage.seoParity,
+        screenshots: lowestSSRPage.screenshots
+            ? { composite: lowestSSRPage.screenshots.composite, diff: lowestSSRPage.screenshots.diff }
+            : null
+    };
+}
+
+function buildWordData(userWordCounts, googleWordCounts) {
+    const allWords = new Set([...Object.keys(userWordCounts), ...Object.keys(googleWordCounts)]);
+
+    const wordData = [];
+    allWords.forEach(word => {
+        const userCount = userWordCounts[word] || 0;
+        const googleCount = googleWordCounts[word] || 0;
+
+        // Only include words that appear in user's view
+        if (userCount > 0) {
+            wordData.push({
+                word,
+                weight: userCount,
+                color: googleCount > 0 ? COLORS.seenByGoogle : COLORS.javascriptOnly
+            });
+        }
+    });
+    return wordData;
+}
+
+// An <img> for a PNG: attached inline and referenced by CID, or as a data: URI
+function embedPng(png, { cid, filename, alt }, attachments) {
+    if (cid) {
+        // Mail clients strip data: URIs
+        attachments.push({ filename, contentType: 'image/png', cid, content: png });
+        return `<img src="cid:${cid}" alt="${alt}">`;
+    }
+    return `<img src="data:image/png;base64,${png.toString('base64')}" alt="${alt}">`;
+}
+
+/**
+ * Render the outreach email for a site with a campaign's template and sender.
+ *
+ * Every scraped value reaches the template as data and is HTML-escaped by
+ * it; only the image markup generated here is inserted raw. With the `cid`
+ * word cloud format images are returned in `attachments` for an email
+ * message to embed, instead of inline in the HTML.
+ *
+ * `screenshot` embeds the page's side-by-side screenshot (`composite`) or
+ * its diff overlay (`diff`) as `{{{screenshot}}}`, when the page has one.
+ *
+ * @param {ReturnType<typeof buildEmailData>} emailData
+ * @param {{ campaign?: ReturnType<typeof resolveCampaign>, wordCloud?: { format?: 'png'|'svg'|'cid', seed?: number, legend?: boolean }, screenshot?: 'composite'|'diff'|null }} [options]
+ * @returns {{ subject: string, html: string, text: string, attachments: Array<{ filename: string, contentType: string, cid: string, content: Buffer }> }}
+ */
+function renderEmail(emailData, { campaign = resolveCampaign({ ...DEFAULT_CONFIG, baseDir: process.cwd() }), wordCloud = {}, screenshot = null } = {}) {
+    const { userWordCounts, googleWordCounts, pageTitle, baseUrl, seoParity } = emailData;
+
+    // Render the word cloud, seeded so the same data always gives the same image
+    const wordData = buildWordData(userWordCounts, googleWordCounts);
+    const { format = 'png', ...cloudOptions } = wordCloud;
+    const wordCloudAlt = escapeHtml(`SEO improvement word cloud showing all content Google can't see for ${pageTitle}`);
+    const attachments = [];
+    let wordCloudHtml;
+    if (format === 'svg') {
+        wordCloudHtml = renderWordCloudSvg(wordData, cloudOptions).replace('<svg ', `<svg role="img" aria-label="${wordCloudAlt}" `);
+    } else {
+        wordCloudHtml = embedPng(renderWordCloudPng(wordData, cloudOptions), {
+            cid: format === 'cid' ? WORD_CLOUD_CID : null,
+            filename: 'word-cloud.png',
+            alt: wordCloudAlt
+        }, attachments);
+    }
+
+    // Screenshots are files from the analysis run; an email without one is still sent
+    let screenshotHtml = '';
+    const screenshotFile = screenshot && emailData.screenshots ? emailData.screenshots[screenshot] : null;
+    if (screenshotFile && fs.existsSync(screenshotFile)) {
+        const screenshotAlt = escapeHtml(screenshot === 'diff'
+            ? `${pageTitle} with the content that only appears with JavaScript highlighted in red`
+            : `${pageTitle} without JavaScript, as Google first sees it, next to the page with JavaScript`);
+        screenshotHtml = embedPng(fs.readFileSync(screenshotFile), {
+            cid: format === 'cid' ? SCREENSHOT_CID : null,
+            filename: path.basename(screenshotFile),
+            alt: screenshotAlt
+        }, attachments);
+    }
+
+    // List the SEO elements Google only gets once JavaScript has run
+    const seoAtRisk = seoParity
+        ? seoParity.atRisk.map(key => ({ label: seoParity.elements[key].label, status: STATUS_LABELS[seoParity.elements[key].status].toLowerCase() }))
+        : [];
+    const missingHeadings = emailData.missingHeadings || [];
+
+    const template = loadTemplate(campaign.templateDir);
+    if (campaign.subject) template.subject = campaign.subject;
+
+    const rendered = renderTemplate(template, {
+        site: baseUrl,
+        siteHost: new URL(baseUrl).hostname.replace(/^www\./, ''),
+        pageUrl: emailData.pageUrl,
+        pageTitle,
+        unreadablePercentage: emailData.unreadablePercentage,
+        framework: emailData.framework,
+        frameworkVersion: emailData.frameworkVersion,
+        recommendedFramework: SSR_RECOMMENDATIONS[emailData.library] || 'Next.js',
+        missingHeadings,
+        hasMissingHeadings: missingHeadings.length > 0,
+        seoAtRisk,
+        hasSeoAtRisk: seoAtRisk.length > 0,
+        sender: campaign.sender,
+        campaign: campaign.name,
+        wordCloud: wordCloudHtml,
+        screenshot: screenshotHtml,
+        hasScreenshot: screenshotHtml !== '',
+        screenshotIsDiff: screenshot === 'diff'
+    });
+    return { ...rendered, attachments };
+}
+
+/**
+ * Render the outreach email for a site and save it as an HTML file with a
+ * plain-text alternative next to it.
+ *
+ * @param {ReturnType<typeof buildEmailData>} emailData
+ * @param {{ outputDir?: string, campaign?: Object, wordCloud?: Object }} [options] See `renderEmail`
+ * @returns {Promise<{ html: string, text: string }>} Paths of the saved files
+ */
+async function createEmailWithWordCloud(emailData, { outputDir = '.', ...renderOptions } = {}) {
+    const { html, text } = renderEmail(emailData, renderOptions);
+
+    const baseName = path.join(outputDir, `email_${emailData.baseUrl.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(`${baseName}.html`, html);
+    fs.writeFileSync(`${baseName}.txt`, text);
+    console.log(`Email HTML saved as ${baseName}.html`);
+    return { html: `${baseName}.html`, text: `${baseName}.txt` };
+}
+
+module.exports = {
+    extractText,
+    generateWordFrequencies,
+    buildEmailData,
+    buildWordData,
+    renderEmail,
+    WORD_CLOUD_CID,
+    SCREENSHOT_CID,
+    SCREENSHOT_KINDS,
+    createEmailWithWordCloud
+};
@@ -0,0 +1,153 @@
+const ERROR_CATEGORIES = {
+    DNS: 'dns',
+    TLS: 'tls',
+    HTTP_STATUS: 'http-status',
+    TIMEOUT: 'timeout',
+    BOT_PROTECTION: 'bot-protection',
+    NAVIGATION_CRASH: 'navigation-crash',
+    PARSE: 'parse',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * An error whose category is known where it is thrown, e.g. an HTTP error
+ * status or a bot protection page.
+ */
+class AnalysisError extends Error {
+    /**
+     * @param {string} category One of ERROR_CATEGORIES
+     * @param {string} message
+     * @param {{ status?: number, cause?: Error }} [details]
+     */
+    constructor(category, message, { status = null, cause = null } = {}) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.category = category;
+        this.status = status;
+        if (cause) this.cause = cause;
+    }
+}
+
+// Checked in order against the error code and message of Node, axios and Chromium errors
+const MESSAGE_CATEGORIES = [
+    { category: ERROR_CATEGORIES.DNS, pattern: /ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ERR_ADDRESS_UNREACHABLE/ },
+    { category: ERROR_CATEGORIES.TLS, pattern: /CERT|SSL|TLS|UNABLE_TO_VERIFY_LEAF_SIGNATURE|UNABLE_TO_GET_ISSUER|EPROTO/ },
+    { category: ERROR_CATEGORIES.TIMEOUT, pattern: /timed? ?out|ETIMEDOUT|ECONNABORTED|ESOCKETTIMEDOUT|ERR_TIMED_OUT/i },
+    { category: ERROR_CATEGORIES.NAVIGATION_CRASH, pattern: /Target closed|Session closed|Protocol error|Page crashed|Browser (crashed|disconnected)|Execution context was destroyed|detached Frame|frame was detached|ERR_ABORTED|ERR_CONNECTION_(RESET|CLOSED|REFUSED)|ECONNRESET|ECONNREFUSED|ERR_EMPTY_RESPONSE|socket hang up/i }
+];
+
+/**
+ * The category of an error from any stage of an analysis.
+ *
+ * @param {Error} error
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function classifyError(error) {
+    if (!error) return ERROR_CATEGORIES.UNKNOWN;
+    if (error.category) return error.category;
+    if (error.response && error.response.status >= 400) return ERROR_CATEGORIES.HTTP_STATUS;
+    if (error.name === 'TimeoutError') return ERROR_CATEGORIES.TIMEOUT;
+    if (error instanceof SyntaxError) return ERROR_CATEGORIES.PARSE;
+
+    const text = `${error.code || ''} ${error.message || ''}`;
+    const match = MESSAGE_CATEGORIES.find(({ pattern }) => pattern.test(text));
+    return match ? match.category : ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * `{ category, message }` for an error, as stored in results.
+ *
+ * @param {Error} error
+ */
+function describeError(error) {
+    return {
+        category: classifyError(error),
+        message: error && error.message ? error.message.split('\n')[0] : String(error)
+    };
+}
+
+// Pages served instead of the site to suspected bots, by vendor. `strong`
+// markers and `header` identify a challenge page on their own; `weak` ones
+// only with a blocking status code, as sites also embed captchas in forms.
+const BOT_PROTECTION = [
+    { name: 'Cloudflare', strong: /<title>(Just a moment\.\.\.|Attention Required! \| Cloudflare)<\/title>|_cf_chl_opt/i, header: headers => headers['cf-mitigated'] === 'challenge' },
+    { name: 'DataDome', strong: /captcha-delivery\.com/i },
+    { name: 'PerimeterX', strong: /px-captcha/i },
+    { name: 'Akamai', weak: /<title>Access Denied<\/title>|errors\.edgesuite\.net/i },
+    { name: 'Imperva', strong: /_Incapsula_Resource|Request unsuccessful\. Incapsula incident/i },
+    { name: 'captcha', weak: /g-recaptcha|h-captcha|hcaptcha\.com|recaptcha\/api\.js|turnstile/i }
+];
+
+const BLOCKING_STATUSES = [401, 403, 429, 503];
+
+/**
+ * Name of the bot protection that answered instead of the site, or null.
+ *
+ * @param {{ status?: number, headers?: Object, html?: string }} response
+ * @returns {string|null}
+ */
+function detectBotProtection({ status = 200, headers = {}, html = '' }) {
+    const blocking = BLOCKING_STATUSES.includes(status);
+    const found = BOT_PROTECTION.find(protection =>
+        (protection.header && protection.header(headers)) ||
+        (protection.strong && protection.strong.test(html)) ||
+        (blocking && protection.weak && protection.weak.test(html)));
+    return found ? found.name : null;
+}
+
+/**
+ * Throw the categorised error for a response that is not the page: a bot
+ * protection page, or an HTTP error status.
+ *
+ * @param {{ status: number|null, headers?: Object, html: string }} response
+ * @param {string} url
+ */
+function checkResponse({ status, headers = {}, html }, url) {
+    const protection = detectBotProtection({ status: status || 200, headers, html });
+    if (protection) {
+        throw new AnalysisError(ERROR_CATEGORIES.BOT_PROTECTION, `${protection} bot protection answered ${url}${status ? ` with HTTP ${status}` : ''}`, { status });
+    }
+    if (status >= 400) {
+        throw new AnalysisError(ERROR_CATEGORIES.HTTP_STATUS, `HTTP ${status} for ${url}`, { status });
+    }
+}
+
+/**
+ * `checkResponse` for a page loaded in the browser.
+ *
+ * @param {import('puppeteer').HTTPResponse|null} response What `page.goto` returned
+ * @param {string} html Content of the page after loading
+ * @param {string} url
+ */
+function checkPageResponse(response, html, url) {
+    checkResponse({ status: response ? response.status() : null, headers: response ? response.headers() : {}, html }, url);
+}
+
+/**
+ * CSV columns for a failed page or site, empty when there is no error.
+ */
+function errorColumns(error) {
+    return {
+        errorCategory: error ? error.category : '',
+        errorMessage: error ? error.message : ''
+    };
+}
+
+function errorHeaders() {
+    return [
+        { id: 'errorCategory', title: 'Error Category' },
+        { id: 'errorMessage', title: 'Error Message' }
+    ];
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    AnalysisError,
+    classifyError,
+    describeError,
+    detectBotProtection,
+    checkResponse,
+    checkPageResponse,
+    errorColumns,
+    errorHeaders
+};
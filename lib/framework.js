@@ -0,0 +1,255 @@
+// Weight of each signal, roughly how sure we are of the framework when it is
+// the only thing that matched. Combined as 1 - Π(1 - weight) per framework.
+const SIGNALS = {
+    nextData: { framework: 'Next.js', weight: 0.95, detail: '__NEXT_DATA__ script' },
+    nextRsc: { framework: 'Next.js', weight: 0.9, detail: 'self.__next_f RSC payload' },
+    nextGlobal: { framework: 'Next.js', weight: 0.9, detail: 'window.next global' },
+    nextRoot: { framework: 'Next.js', weight: 0.6, detail: '#__next container' },
+    nextAssets: { framework: 'Next.js', weight: 0.7, detail: '/_next/static/ assets' },
+    gatsbyRoot: { framework: 'Gatsby', weight: 0.9, detail: '#___gatsby container' },
+    gatsbyGenerator: { framework: 'Gatsby', weight: 0.9, detail: 'Gatsby generator meta tag' },
+    remixContext: { framework: 'Remix', weight: 0.95, detail: 'window.__remixContext' },
+    craBundle: { framework: 'Create React App', weight: 0.5, detail: '#root with static/js/main.[hash].js bundle' },
+    reactGlobal: { framework: 'React', weight: 0.9, detail: 'window.React global' },
+    reactAttributes: { framework: 'React', weight: 0.9, detail: 'data-reactroot / data-reactid attributes' },
+    reactRootContainer: { framework: 'React', weight: 0.95, detail: '_reactRootContainer on a DOM node' },
+    reactContainerKey: { framework: 'React', weight: 0.95, detail: '__reactContainer key on a DOM node' },
+    reactFiberKey: { framework: 'React', weight: 0.9, detail: '__reactFiber key on a DOM node' },
+    reactScript: { framework: 'React', weight: 0.7, detail: 'react / react-dom script reference' },
+    reactDevtoolsHook: { framework: 'React', weight: 0.3, detail: 'React DevTools hook with a renderer' },
+    nuxtGlobal: { framework: 'Nuxt', weight: 0.95, detail: 'window.__NUXT__ / useNuxtApp' },
+    nuxtRoot: { framework: 'Nuxt', weight: 0.8, detail: '#__nuxt container' },
+    vueApp: { framework: 'Vue', weight: 0.95, detail: '__vue_app__ on a DOM node' },
+    vueGlobal: { framework: 'Vue', weight: 0.9, detail: 'window.Vue global' },
+    vueAttributes: { framework: 'Vue', weight: 0.7, detail: 'data-v-* scoped style attributes' },
+    angularVersion: { framework: 'Angular', weight: 0.95, detail: 'ng-version attribute' },
+    angularJs: { framework: 'AngularJS', weight: 0.95, detail: 'window.angular global' },
+    svelteKit: { framework: 'SvelteKit', weight: 0.9, detail: 'data-sveltekit-* attributes / __sveltekit globals' },
+    svelteClasses: { framework: 'Svelte', weight: 0.6, detail: 'svelte-[hash] scoped classes' }
+};
+
+// Meta-frameworks win over the library they are built on when both match
+const PARENT_LIBRARY = {
+    'Next.js': 'React',
+    'Gatsby': 'React',
+    'Remix': 'React',
+    'Create React App': 'React',
+    'React': 'React',
+    'Nuxt': 'Vue',
+    'Vue': 'Vue',
+    'Angular': 'Angular',
+    'AngularJS': 'AngularJS',
+    'SvelteKit': 'Svelte',
+    'Svelte': 'Svelte'
+};
+
+const SPECIFICITY = ['Next.js', 'Gatsby', 'Remix', 'Nuxt', 'SvelteKit', 'Angular', 'AngularJS', 'Create React App', 'React', 'Vue', 'Svelte'];
+
+// Runs inside the page. Must stay self-contained: it is serialised by Puppeteer.
+function collectSignals() {
+    const html = document.documentElement.outerHTML;
+    const matched = {};
+    const versions = {};
+    const hints = { nextData: false, rscPayload: false, reactRoot: false, hydrationMarkers: [] };
+
+    const scripts = Array.from(document.querySelectorAll('script'));
+    const scriptSrcs = scripts.map(script => script.getAttribute('src') || '').filter(Boolean);
+    const elements = Array.from(document.querySelectorAll('body, body *')).slice(0, 5000);
+    const hasKey = prefix => elements.some(el => Object.keys(el).some(key => key.startsWith(prefix)));
+
+    // Next.js
+    const nextDataScript = document.querySelector('script#__NEXT_DATA__');
+    if (nextDataScript) {
+        matched.nextData = true;
+        hints.nextData = true;
+    }
+    if (Array.isArray(window.__next_f) || /self\.__next_f\s*=/.test(html)) {
+        matched.nextRsc = true;
+        hints.rscPayload = true;
+    }
+    if (window.next && typeof window.next === 'object') {
+        matched.nextGlobal = true;
+        if (window.next.version) versions['Next.js'] = String(window.next.version);
+    }
+    if (document.getElementById('__next')) matched.nextRoot = true;
+    if (scriptSrcs.some(src => src.includes('/_next/static/'))) matched.nextAssets = true;
+
+    // Gatsby
+    if (document.getElementById('___gatsby')) matched.gatsbyRoot = true;
+    const generator = document.querySelector('meta[name="generator"]');
+    const generatorContent = generator ? generator.getAttribute('content') || '' : '';
+    const gatsbyGenerator = generatorContent.match(/^Gatsby\s+([\d.]+)/i);
+    if (gatsbyGenerator) {
+        matched.gatsbyGenerator = true;
+        versions['Gatsby'] = gatsbyGenerator[1];
+    }
+
+    // Remix
+    if (window.__remixContext || window.__remixManifest) matched.remixContext = true;
+
+    // Create React App: a bare #root plus the default bundle naming
+    if (document.getElementById('root') && scriptSrcs.some(src => /\/static\/js\/(main|bundle)\.[0-9a-f]+\.js/.test(src))) {
+        matched.craBundle = true;
+    }
+
+    // React
+    if (typeof window.React !== 'undefined') {
+        matched.reactGlobal = true;
+        if (window.React && window.React.version) versions['React'] = String(window.React.version);
+    }
+    if (document.querySelector('[data-reactroot], [data-reactid]')) {
+        matched.reactAttributes = true;
+        hints.reactRoot = true;
+    }
+    if (elements.some(el => el._reactRootContainer !== undefined)) matched.reactRootContainer = true;
+    if (hasKey('__reactContainer')) matched.reactContainerKey = true;
+    if (hasKey('__reactFiber') || hasKey('__reactInternalInstance')) matched.reactFiberKey = true;
+    const reactScript = scriptSrcs.find(src => /react(-dom)?(@[\d.]+)?[./](production|development|min|umd)/.test(src) || /\/react(-dom)?@[\d.]+/.test(src));
+    if (reactScript) {
+        matched.reactScript = true;
+        const reactVersion = reactScript.match(/react(?:-dom)?@([\d.]+)/);
+        if (reactVersion && !versions['React']) versions['React'] = reactVersion[1];
+    }
+    const devtoolsHook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (devtoolsHook && devtoolsHook.renderers && devtoolsHook.renderers.size > 0) {
+        matched.reactDevtoolsHook = true;
+        devtoolsHook.renderers.forEach(renderer => {
+            if (renderer && renderer.version && !versions['React']) versions['React'] = String(renderer.version);
+        });
+    }
+
+    // Nuxt / Vue
+    if (window.__NUXT__ || window.useNuxtApp) matched.nuxtGlobal = true;
+    if (document.getElementById('__nuxt')) matched.nuxtRoot = true;
+    const vueRoot = elements.find(el => el.__vue_app__);
+    if (vueRoot) {
+        matched.vueApp = true;
+        if (vueRoot.__vue_app__.version) versions['Vue'] = String(vueRoot.__vue_app__.version);
+    }
+    if (window.Vue) {
+        matched.vueGlobal = true;
+        if (window.Vue.version && !versions['Vue']) versions['Vue'] = String(window.Vue.version);
+    }
+    if (elements.some(el => Array.from(el.attributes).some(attr => /^data-v-[0-9a-f]{8}$/.test(attr.name)))) {
+        matched.vueAttributes = true;
+    }
+
+    // Angular
+    const ngVersion = document.querySelector('[ng-version]');
+    if (ngVersion) {
+        matched.angularVersion = true;
+        versions['Angular'] = ngVersion.getAttribute('ng-version');
+    }
+    if (window.angular && window.angular.version) {
+        matched.angularJs = true;
+        versions['AngularJS'] = window.angular.version.full;
+    }
+
+    // Svelte / SvelteKit
+    if (document.querySelector('[data-sveltekit-preload-data], [data-sveltekit-hydrate], [data-sveltekit-reload]') ||
+        Object.keys(window).some(key => key.startsWith('__sveltekit'))) {
+        matched.svelteKit = true;
+    }
+    if (elements.some(el => typeof el.className === 'string' && /(^|\s)svelte-[a-z0-9]{5,}(\s|$)/.test(el.className))) {
+        matched.svelteClasses = true;
+    }
+
+    // Hydration markers that tell us the server rendered the markup
+    if (/<!--\$-->|<!--\$\?-->|<!--\/\$-->/.test(html)) hints.hydrationMarkers.push('React Suspense boundaries');
+    if (document.querySelector('[data-server-rendered]')) hints.hydrationMarkers.push('Vue data-server-rendered');
+    if (document.querySelector('[ngh], [ng-server-context]')) hints.hydrationMarkers.push('Angular hydration attributes');
+    if (/<!--\[-->/.test(html)) hints.hydrationMarkers.push('Vue/Svelte fragment comments');
+    if (nextDataScript && /"gssp"\s*:\s*true|"isFallback"\s*:\s*false/.test(nextDataScript.textContent || '')) {
+        hints.hydrationMarkers.push('Next.js pre-rendered page data');
+    }
+
+    return { matched: Object.keys(matched), versions, hints };
+}
+
+/**
+ * Turn the raw signals gathered in the page into a fingerprint: the most
+ * specific framework that matched, its version when exposed, a confidence
+ * score and the signals that led there.
+ *
+ * @param {{ matched: string[], versions: Object<string, string>, hints: Object }} raw
+ */
+function fingerprintFromSignals(raw) {
+    const signals = raw.matched
+        .filter(name => SIGNALS[name])
+        .map(name => ({ name, ...SIGNALS[name] }));
+
+    const scores = {};
+    signals.forEach(signal => {
+        const current = scores[signal.framework] || 0;
+        scores[signal.framework] = 1 - (1 - current) * (1 - signal.weight);
+    });
+
+    // Evidence for a meta-framework also counts as evidence for its library
+    Object.keys(scores).forEach(framework => {
+        const library = PARENT_LIBRARY[framework];
+        if (library !== framework) {
+            scores[library] = 1 - (1 - (scores[library] || 0)) * (1 - scores[framework]);
+        }
+    });
+
+    // Pick the most specific framework that is reasonably certain
+    const framework = SPECIFICITY.find(name => scores[name] >= 0.5) ||
+        SPECIFICITY.find(name => scores[name] > 0) ||
+        null;
+    const library = framework ? PARENT_LIBRARY[framework] : null;
+
+    let variant = null;
+    if (framework === 'Next.js') {
+        if (raw.matched.includes('nextRsc')) variant = 'app router';
+        else if (raw.matched.includes('nextData')) variant = 'pages router';
+    }
+
+    const version = framework ? raw.versions[framework] || (library && raw.versions[library]) || null : null;
+
+    return {
+        framework,
+        variant,
+        version,
+        library,
+        isReact: library === 'React',
+        confidence: framework ? Math.round(scores[framework] * 100) / 100 : 0,
+        signals: signals.map(signal => ({ name: signal.name, framework: signal.framework, detail: signal.detail, weight: signal.weight })),
+        renderingHints: raw.hints
+    };
+}
+
+/**
+ * Fingerprint the JavaScript framework running on a loaded Puppeteer page.
+ *
+ * @param {import('puppeteer').Page} page
+ */
+async function detectFramework(page) {
+    console.log('Detecting framework...');
+
+    const raw = await page.evaluate(collectSignals);
+    const fingerprint = fingerprintFromSignals(raw);
+
+    if (fingerprint.framework) {
+        const label = [fingerprint.framework, fingerprint.variant, fingerprint.version].filter(Boolean).join(' ');
+        console.log(`${label} detected (confidence ${fingerprint.confidence}) via ${fingerprint.signals.map(signal => signal.detail).join(', ')}`);
+    } else {
+        console.log('No JavaScript framework detected');
+    }
+
+    return fingerprint;
+}
+
+/**
+ * Human readable name of a fingerprint, e.g. "Next.js (app router)".
+ */
+function describeFramework(fingerprint) {
+    if (!fingerprint || !fingerprint.framework) return 'None';
+    return fingerprint.variant ? `${fingerprint.framework} (${fingerprint.variant})` : fingerprint.framework;
+}
+
+module.exports = {
+    detectFramework,
+    describeFramework,
+    fingerprintFromSignals,
+    collectSignals
+};
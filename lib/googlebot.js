@@ -0,0 +1,227 @@
+const cheerio = require('cheerio');
+const robotsParser = require('robots-parser');
+const { http } = require('./http');
+const { analyzeContentCoverage } = require('./coverage');
+const { DEVICES } = require('./devices');
+
+const CAPTURE_MODES = ['browser', 'googlebot'];
+
+const USER_AGENTS = {
+    googlebot: DEVICES['googlebot-smartphone'].userAgent,
+    browser: DEVICES.mobile.userAgent
+};
+
+// The robots.txt group and X-Robots-Tag prefix Googlebot obeys
+const ROBOTS_AGENT = 'Googlebot';
+
+const MAX_REDIRECTS = 10;
+
+// Below this similarity between the bot and browser responses we report cloaking
+const CLOAKING_THRESHOLD = 80;
+
+// robots.txt per origin, fetched once per run
+const robotsCache = new Map();
+
+function fetchRobots(origin) {
+    if (!robotsCache.has(origin)) {
+        const robotsUrl = `${origin}/robots.txt`;
+        robotsCache.set(origin, http.get(robotsUrl, {
+            responseType: 'text',
+            headers: { 'User-Agent': USER_AGENTS.googlebot },
+            validateStatus: () => true
+        }).then(response => {
+            // Like Google: a missing robots.txt allows everything, a server error blocks everything
+            if (response.status >= 500) return robotsParser(robotsUrl, 'User-agent: *\nDisallow: /');
+            return robotsParser(robotsUrl, response.status >= 400 ? '' : String(response.data));
+        }).catch(error => {
+            console.error(`Error reading ${robotsUrl}, treating the site as disallowed:`, error.message);
+            return robotsParser(robotsUrl, 'User-agent: *\nDisallow: /');
+        }));
+    }
+    return robotsCache.get(origin);
+}
+
+/**
+ * Whether robots.txt lets Googlebot crawl `url`.
+ *
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isAllowedByRobots(url) {
+    const robots = await fetchRobots(new URL(url).origin);
+    return robots.isAllowed(url, ROBOTS_AGENT) !== false;
+}
+
+// X-Robots-Tag directives that carry a value after a colon, as opposed to a user agent scope
+const VALUED_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Directives from X-Robots-Tag headers that apply to Googlebot: unscoped
+ * ones and ones after a `googlebot:` prefix. Repeated headers arrive joined
+ * with commas, so a scope lasts until the next one.
+ *
+ * @param {string|string[]|undefined} header
+ * @returns {string[]}
+ */
+function parseXRobotsTag(header) {
+    if (!header) return [];
+    const directives = [];
+    (Array.isArray(header) ? header : [header]).forEach(value => {
+        let scope = null;
+        String(value).split(',').forEach(item => {
+            let directive = item.trim().toLowerCase();
+            const scoped = directive.match(/^([\w-]+)\s*:\s*(.*)$/);
+            if (scoped && !VALUED_DIRECTIVES.includes(scoped[1])) {
+                scope = scoped[1];
+                directive = scoped[2];
+            }
+            if (directive && (!scope || scope === ROBOTS_AGENT.toLowerCase())) directives.push(directive);
+        });
+    });
+    return directives;
+}
+
+// An immediate <meta http-equiv="refresh"> is followed like a redirect
+function metaRefreshTarget(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const content = $('meta[http-equiv]').filter((_, el) => $(el).attr('http-equiv').toLowerCase() === 'refresh').first().attr('content');
+    const match = content && content.match(/^\s*0*\s*[;,]\s*url\s*=\s*['"]?([^'"]+)/i);
+    if (!match) return null;
+    try {
+        return new URL(match[1].trim(), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Fetch a URL the way a crawler does: the raw HTTP response, no JavaScript,
+ * following redirects hop by hop so every status code is recorded. With
+ * `respectRobots` no URL disallowed by robots.txt is requested.
+ *
+ * @param {string} url
+ * @param {{ userAgent?: string, respectRobots?: boolean }} [options]
+ * @returns {Promise<{ requestedUrl: string, finalUrl: string, status: number|null, redirects: Array<{ url: string, status: number|string, location: string }>, headers: Object, html: string, blockedByRobots: boolean }>}
+ */
+async function fetchAsCrawler(url, { userAgent = USER_AGENTS.googlebot, respectRobots = true } = {}) {
+    const redirects = [];
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        if (respectRobots && !await isAllowedByRobots(currentUrl)) {
+            return { requestedUrl: url, finalUrl: currentUrl, status: null, redirects, headers: {}, html: '', blockedByRobots: true };
+        }
+
+        const response = await http.request({
+            url: currentUrl,
+            method: 'get',
+            responseType: 'text',
+            headers: { 'User-Agent': userAgent, Accept: 'text/html,application/xhtml+xml' },
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        const html = typeof response.data === 'string' ? response.data : '';
+
+        let location = null;
+        let status = response.status;
+        if (status >= 300 && status < 400 && response.headers.location) {
+            location = new URL(response.headers.location, currentUrl).href;
+        } else if (status === 200) {
+            location = metaRefreshTarget(html, currentUrl);
+            if (location) status = 'meta refresh';
+        }
+
+        // Stop at the final response, and at loops rather than going round them
+        if (!location || location === currentUrl || redirects.some(redirect => redirect.url === location)) {
+            return { requestedUrl: url, finalUrl: currentUrl, status: response.status, redirects, headers: response.headers, html, blockedByRobots: false };
+        }
+        redirects.push({ url: currentUrl, status, location });
+        currentUrl = location;
+    }
+
+    throw new Error(`Too many redirects for ${url} (more than ${MAX_REDIRECTS})`);
+}
+
+// How much of each response's content is in the other, as a 0-100 score
+function responseSimilarity(a, b) {
+    return Math.min(analyzeContentCoverage(a, b).score, analyzeContentCoverage(b, a).score);
+}
+
+/**
+ * Capture what Googlebot receives for a page, before any rendering, and
+ * check for cloaking by requesting the same page with a browser user agent.
+ *
+ * @param {string} url
+ */
+async function captureAsGooglebot(url) {
+    const bot = await fetchAsCrawler(url, { userAgent: USER_AGENTS.googlebot });
+    const xRobotsTag = parseXRobotsTag(bot.headers['x-robots-tag']);
+
+    let cloaking = null;
+    if (!bot.blockedByRobots) {
+        const browser = await fetchAsCrawler(url, { userAgent: USER_AGENTS.browser, respectRobots: false });
+        const similarity = responseSimilarity(bot.html, browser.html);
+        const reasons = [];
+        if (browser.status !== bot.status) reasons.push(`status ${bot.status} for Googlebot, ${browser.status} for browsers`);
+        if (browser.finalUrl !== bot.finalUrl) reasons.push(`Googlebot ends at ${bot.finalUrl}, browsers at ${browser.finalUrl}`);
+        if (similarity < CLOAKING_THRESHOLD) reasons.push(`content ${similarity.toFixed(0)}% similar`);
+        cloaking = { suspected: reasons.length > 0, similarity, reasons };
+    }
+
+    return {
+        ...bot,
+        xRobotsTag,
+        noindex: xRobotsTag.includes('noindex') || xRobotsTag.includes('none'),
+        cloaking
+    };
+}
+
+function pageTitle(html) {
+    return cheerio.load(html)('title').first().text().trim();
+}
+
+function describeRedirects(capture) {
+    return capture.redirects.map(redirect => `${redirect.status} ${redirect.url} -> ${redirect.location}`).join(' | ');
+}
+
+/**
+ * CSV columns describing a Googlebot capture, 'N/A' for pages captured in
+ * the browser.
+ */
+function captureColumns(capture) {
+    if (!capture) {
+        return { crawlStatus: 'N/A', crawlRedirects: 'N/A', crawlIndexing: 'N/A', cloaking: 'N/A' };
+    }
+
+    let indexing = 'Allowed';
+    if (capture.blockedByRobots) indexing = 'Blocked by robots.txt';
+    else if (capture.noindex) indexing = `noindex (X-Robots-Tag: ${capture.xRobotsTag.join(', ')})`;
+
+    return {
+        crawlStatus: capture.blockedByRobots ? 'Not fetched' : String(capture.status),
+        crawlRedirects: describeRedirects(capture),
+        crawlIndexing: indexing,
+        cloaking: !capture.cloaking ? 'N/A' : capture.cloaking.suspected ? `Suspected: ${capture.cloaking.reasons.join('; ')}` : 'No'
+    };
+}
+
+function captureHeaders() {
+    return [
+        { id: 'crawlStatus', title: 'Googlebot HTTP Status' },
+        { id: 'crawlRedirects', title: 'Googlebot Redirects' },
+        { id: 'crawlIndexing', title: 'Googlebot Indexing' },
+        { id: 'cloaking', title: 'Cloaking' }
+    ];
+}
+
+module.exports = {
+    CAPTURE_MODES,
+    USER_AGENTS,
+    isAllowedByRobots,
+    parseXRobotsTag,
+    fetchAsCrawler,
+    captureAsGooglebot,
+    pageTitle,
+    captureColumns,
+    captureHeaders
+};
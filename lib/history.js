@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { STATUS, STATUS_LABELS } = require('./seo-parity');
+
+// SSR coverage drop, in percentage points, that counts as a regression
+const DEFAULT_REGRESSION_THRESHOLD = 5;
+
+const CHANGE_TYPES = {
+    COVERAGE: 'coverage',
+    FRAMEWORK: 'framework',
+    SEO: 'seo',
+    ERROR: 'error',
+    RECOVERED: 'recovered',
+    ADDED: 'added',
+    REMOVED: 'removed'
+};
+
+const SERVER_LABEL = STATUS_LABELS[STATUS.SERVER];
+
+function numberOrNull(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * What history keeps of a site result from `analyzeWebsite`: status,
+ * framework, SSR coverage per route template and per analyzed URL its
+ * template, SSR coverage and SEO element statuses, or the error it failed
+ * with.
+ *
+ * @param {Object} siteResult
+ */
+function snapshotSite(siteResult) {
+    const first = siteResult.records[0] || {};
+    const pages = {};
+    const failedPages = new Set((siteResult.pages || []).filter(page => page.error).map(page => page.url));
+    siteResult.records.forEach(record => {
+        const template = record.template || null;
+        if (record.analyzedUrl && failedPages.has(record.analyzedUrl)) {
+            pages[record.analyzedUrl] = { template, ssrPercentage: null, seo: {}, error: { category: record.errorCategory, message: record.errorMessage } };
+            return;
+        }
+        if (!record.analyzedUrl || numberOrNull(record.ssrPercentage) == null) return;
+        const seo = {};
+        Object.keys(record).filter(key => key.startsWith('seo_')).forEach(key => {
+            seo[key.slice(4)] = record[key];
+        });
+        pages[record.analyzedUrl] = { template, ssrPercentage: numberOrNull(record.ssrPercentage), seo };
+    });
+
+    const templates = {};
+    (siteResult.templates || []).forEach(({ template, pages: templatePages, analyzed, ssrPercentage }) => {
+        templates[template] = { ssrPercentage: numberOrNull(ssrPercentage), pages: templatePages, analyzed };
+    });
+
+    return {
+        site: siteResult.baseUrl,
+        status: siteResult.status,
+        framework: siteResult.status === 'failed' ? null : first.framework || null,
+        frameworkVersion: siteResult.fingerprint ? siteResult.fingerprint.version || null : null,
+        error: siteResult.error || null,
+        errorCategory: siteResult.errorCategory || null,
+        templates,
+        pages
+    };
+}
+
+/**
+ * Open the history of every run, creating it when it does not exist.
+ *
+ * Like job state it is an append-only journal (`<stateDir>/history.jsonl`),
+ * one site snapshot per line, keyed by run (the job id) and site. When a
+ * run analyses a site again, e.g. on a retry, the last snapshot wins.
+ *
+ * @param {{ stateDir: string }} options
+ */
+function openHistory({ stateDir }) {
+    const file = path.join(stateDir, 'history.jsonl');
+    // Runs in the order they were first recorded, each a Map of site snapshots
+    const runs = new Map();
+
+    const remember = entry => {
+        if (!runs.has(entry.run)) runs.set(entry.run, { id: entry.run, at: entry.at, sites: new Map() });
+        runs.get(entry.run).sites.set(entry.site, entry);
+    };
+
+    if (fs.existsSync(file)) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                remember(JSON.parse(line));
+            } catch (error) {
+                if (index < lines.length - 2) console.error(`Ignoring unreadable line ${index + 1} in ${file}`);
+            }
+        });
+    }
+
+    return {
+        file,
+
+        /** Record the result of `analyzeWebsite` for a site as part of `runId`. */
+        record(runId, siteResult) {
+            const entry = { run: runId, at: new Date().toISOString(), ...snapshotSite(siteResult) };
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+            remember(entry);
+            return entry;
+        },
+
+        /** Runs oldest first, with when they started and how many sites they have. */
+        runs() {
+            return Array.from(runs.values()).map(run => ({ id: run.id, at: run.at, sites: run.sites.size }));
+        },
+
+        /** Site snapshots of a run, by site URL, or null for an unknown run. */
+        run(runId) {
+            return runs.has(runId) ? runs.get(runId).sites : null;
+        }
+    };
+}
+
+function compareSite(before, after, threshold) {
+    const changes = [];
+    const add = (type, message, details = {}, regression = false) => changes.push({ type, message, regression, ...details });
+
+    if (after.status === 'failed' && before.status !== 'failed') {
+        add(CHANGE_TYPES.ERROR, `Analysis now fails${after.errorCategory ? ` (${after.errorCategory})` : ''}: ${after.error}`, { error: after.error, category: after.errorCategory }, true);
+        return changes;
+    }
+    if (before.status === 'failed' && after.status !== 'failed') {
+        add(CHANGE_TYPES.RECOVERED, `Analysis works again (failed before with: ${before.error})`);
+    }
+
+    if (before.framework && after.framework && before.framework !== after.framework) {
+        add(CHANGE_TYPES.FRAMEWORK, `Framework changed from ${before.framework} to ${after.framework}`, { from: before.framework, to: after.framework });
+    }
+
+    // Pages are sampled anew each run, so coverage is compared per route
+    // template too, for templates both runs analysed. Templates and pages in
+    // one run only are reported, not counted as regressions: the sample
+    // moving says nothing about coverage. Snapshots recorded before
+    // templates were kept have none.
+    const beforeTemplates = before.templates || {};
+    const afterTemplates = after.templates || {};
+    Object.keys(afterTemplates).forEach(template => {
+        const was = beforeTemplates[template];
+        const now = afterTemplates[template];
+        if (!was) {
+            add(CHANGE_TYPES.ADDED, `Template ${template}: newly analysed (SSR coverage ${now.ssrPercentage.toFixed(2)}%)`, { template, to: now.ssrPercentage });
+            return;
+        }
+        const delta = now.ssrPercentage - was.ssrPercentage;
+        if (Math.abs(delta) >= 0.01) {
+            add(CHANGE_TYPES.COVERAGE, `Template ${template}: SSR coverage ${was.ssrPercentage.toFixed(2)}% -> ${now.ssrPercentage.toFixed(2)}% (${delta > 0 ? '+' : ''}${delta.toFixed(2)})`,
+                { template, from: was.ssrPercentage, to: now.ssrPercentage, delta }, -delta >= threshold);
+        }
+    });
+    Object.keys(beforeTemplates).filter(template => !afterTemplates[template]).forEach(template => {
+        const was = beforeTemplates[template];
+        add(CHANGE_TYPES.REMOVED, `Template ${template}: no longer analysed (SSR coverage was ${was.ssrPercentage.toFixed(2)}%)`,
+            { template, from: was.ssrPercentage });
+    });
+
+    Object.keys(after.pages).forEach(url => {
+        const was = before.pages[url];
+        const now = after.pages[url];
+
+        if (!was) {
+            if (!now.error) add(CHANGE_TYPES.ADDED, `${url}: newly analysed (SSR coverage ${now.ssrPercentage.toFixed(2)}%)`, { url, to: now.ssrPercentage });
+            return;
+        }
+        if (now.error && !was.error) {
+            add(CHANGE_TYPES.ERROR, `${url}: analysis now fails (${now.error.category}): ${now.error.message}`, { url, error: now.error.message, category: now.error.category }, true);
+            return;
+        }
+        if (was.error) {
+            if (!now.error) add(CHANGE_TYPES.RECOVERED, `${url}: analysis works again (failed before with: ${was.error.message})`, { url });
+            return;
+        }
+
+        const delta = now.ssrPercentage - was.ssrPercentage;
+        if (Math.abs(delta) >= 0.01) {
+            add(CHANGE_TYPES.COVERAGE, `${url}: SSR coverage ${was.ssrPercentage.toFixed(2)}% -> ${now.ssrPercentage.toFixed(2)}% (${delta > 0 ? '+' : ''}${delta.toFixed(2)})`,
+                { url, from: was.ssrPercentage, to: now.ssrPercentage, delta }, -delta >= threshold);
+        }
+
+        // Elements Google got in the initial HTML before, and now gets late, changed or not at all
+        Object.keys(now.seo).filter(key => was.seo[key] === SERVER_LABEL && now.seo[key] !== SERVER_LABEL).forEach(key => {
+            add(CHANGE_TYPES.SEO, `${url}: ${key} was server-side, is now ${now.seo[key].toLowerCase()}`,
+                { url, element: key, from: was.seo[key], to: now.seo[key] }, true);
+        });
+    });
+    Object.keys(before.pages).filter(url => !after.pages[url] && !before.pages[url].error).forEach(url => {
+        const was = before.pages[url];
+        add(CHANGE_TYPES.REMOVED, `${url}: no longer analysed (SSR coverage was ${was.ssrPercentage.toFixed(2)}%)`,
+            { url, from: was.ssrPercentage });
+    });
+
+    return changes;
+}
+
+/**
+ * What changed for each site between two runs: SSR coverage per route
+ * template and per URL, templates and URLs analysed in only one of the
+ * runs, framework migrations, SEO elements no longer server-side and new
+ * errors. A change is a regression when the coverage of a template or URL
+ * both runs analysed drops by `threshold` percentage points or more, an
+ * SEO element was server-side and now is injected, changed by hydration or
+ * missing, or a site or page that was analysed now fails. Templates and
+ * URLs in only one run never are.
+ *
+ * @param {Map<string, Object>} before Site snapshots of the earlier run
+ * @param {Map<string, Object>} after Site snapshots of the later run
+ * @param {{ threshold?: number }} [options]
+ * @returns {{ sites: Array<{ site: string, changes: Object[] }>, regressions: number }}
+ */
+function compareRuns(before, after, { threshold = DEFAULT_REGRESSION_THRESHOLD } = {}) {
+    const sites = [];
+    after.forEach((snapshot, site) => {
+        const changes = before.has(site)
+            ? compareSite(before.get(site), snapshot, threshold)
+            : [{ type: CHANGE_TYPES.ADDED, message: 'Not in the earlier run', regression: false }];
+        sites.push({ site, changes });
+    });
+    before.forEach((snapshot, site) => {
+        if (!after.has(site)) sites.push({ site, changes: [{ type: CHANGE_TYPES.REMOVED, message: 'Not in the later run', regression: false }] });
+    });
+
+    return {
+        sites,
+        regressions: sites.reduce((total, { changes }) => total + changes.filter(change => change.regression).length, 0)
+    };
+}
+
+module.exports = {
+    DEFAULT_REGRESSION_THRESHOLD,
+    CHANGE_TYPES,
+    snapshotSite,
+    openHistory,
+    compareRuns
+};
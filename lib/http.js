@@ -0,0 +1,66 @@
+const axios = require('axios');
+const rateLimit = require('axios-rate-limit');
+const axiosRetry = require('axios-retry').default;
+
+const RATE_LIMIT = { maxRequests: 20, perMilliseconds: 60 * 1000, maxRPS: 1 };
+
+// One rate-limited client per host: politeness is per site, so requests to
+// different hosts do not wait on each other when sites run in parallel
+const hostClients = new Map();
+
+function createClient() {
+    const client = rateLimit(axios.create(), RATE_LIMIT);
+    axiosRetry(client, { retries: 3, retryDelay: axiosRetry.exponentialDelay });
+    return client;
+}
+
+function clientFor(url) {
+    const host = new URL(url).host.toLowerCase();
+    if (!hostClients.has(host)) {
+        hostClients.set(host, createClient());
+    }
+    return hostClients.get(host);
+}
+
+const http = {
+    get(url, config) {
+        return clientFor(url).get(url, config);
+    },
+    head(url, config) {
+        return clientFor(url).head(url, config);
+    },
+    request(config) {
+        return clientFor(config.url).request(config);
+    }
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchWithJitter(url, config) {
+    const jitter = Math.floor(Math.random() * 1000);
+    await sleep(jitter);
+    return http.get(url, config);
+}
+
+/**
+ * Wait until the host's rate limit allows another request, without making
+ * one. Browser navigations go through this so they share the same per-host
+ * budget as the HTTP client.
+ *
+ * @param {string} url
+ */
+async function acquireHostSlot(url) {
+    await clientFor(url).request({
+        url,
+        adapter: async config => ({ data: null, status: 204, statusText: 'No Content', headers: {}, config })
+    });
+}
+
+module.exports = {
+    http,
+    sleep,
+    fetchWithJitter,
+    acquireHostSlot
+};
@@ -0,0 +1,167 @@
+const { gotoPolitely } = require('./browser-pool');
+
+const DEFAULT_INTERACTION = {
+    settleMs: 500, // The DOM counts as settled after this long without mutations
+    settleTimeout: 5000, // Longest wait for the DOM to settle
+    maxScrolls: 40, // Viewport-height scroll steps
+    maxClicks: 30, // Disclosure widgets and "load more" buttons clicked per round
+    maxRounds: 3, // Click rounds, as "load more" can be clicked again after it loads
+    deadline: null // Epoch milliseconds by which to stop scrolling and clicking, null for no limit
+};
+
+// Runs inside the page. Resolves once no mutation happened for `quietMs`, or
+// after `timeoutMs` on pages that never stop changing.
+function waitForQuiet(quietMs, timeoutMs) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        let quietTimer = null;
+        let limitTimer = null;
+        const observer = new MutationObserver(() => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(done, quietMs);
+        });
+        function done() {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(limitTimer);
+            resolve(Date.now() - started);
+        }
+        observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+        quietTimer = setTimeout(done, quietMs);
+        limitTimer = setTimeout(done, timeoutMs);
+    });
+}
+
+// Run inside the page
+function scrollStep() {
+    window.scrollBy(0, window.innerHeight);
+}
+
+function hasMoreBelow() {
+    return window.scrollY + window.innerHeight < document.documentElement.scrollHeight - 2;
+}
+
+// Runs inside the page. Must stay self-contained: it is serialised by Puppeteer.
+// Opens <details>, collapsed aria-expanded toggles and unselected tabs, and
+// clicks "load more" style buttons. Links to other pages are never clicked.
+function expandDisclosures(maxClicks) {
+    const LOAD_MORE = /^(load|show|view|see|read)\s+(more|all)\b|^more\b|^mehr\b|mehr (laden|anzeigen)|afficher plus|voir plus|ver más|cargar más|mostra(re)? (di )?più|meer (laden|tonen)/i;
+
+    const isVisible = el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+    const isSafe = el => {
+        if (el.disabled || el.getAttribute('aria-disabled') === 'true') return false;
+        if (el.type === 'submit' && el.form) return false;
+        const link = el.closest('a[href]');
+        if (!link) return true;
+        const href = link.getAttribute('href').trim();
+        return href === '' || href.startsWith('#') || href.toLowerCase().startsWith('javascript:');
+    };
+
+    let expanded = 0;
+    document.querySelectorAll('details:not([open])').forEach(details => {
+        details.open = true;
+        expanded++;
+    });
+
+    const candidates = Array.from(document.querySelectorAll('[aria-expanded="false"], [role="tab"]:not([aria-selected="true"]), button, [role="button"]'))
+        .filter((el, index, all) => all.indexOf(el) === index)
+        .filter(el => el.hasAttribute('aria-expanded') || el.getAttribute('role') === 'tab' || LOAD_MORE.test((el.innerText || el.textContent || '').trim()))
+        .filter(el => isVisible(el) && isSafe(el));
+
+    for (const el of candidates.slice(0, maxClicks)) {
+        try {
+            el.click();
+            expanded++;
+        } catch (error) {
+            // A widget that throws on click is simply left alone
+        }
+    }
+    return expanded;
+}
+
+function withoutHash(url) {
+    return url.split('#')[0];
+}
+
+function timeLeft(settings) {
+    return settings.deadline ? settings.deadline - Date.now() : Infinity;
+}
+
+// Settling never waits past the deadline
+function settleSettings(settings) {
+    return { ...settings, settleTimeout: Math.max(0, Math.min(settings.settleTimeout, timeLeft(settings))) };
+}
+
+/**
+ * Wait until the page's DOM stops changing, instead of sleeping a fixed time.
+ *
+ * @returns {Promise<number>} Milliseconds waited
+ */
+function waitForDomSettle(page, { settleMs = DEFAULT_INTERACTION.settleMs, settleTimeout = DEFAULT_INTERACTION.settleTimeout } = {}) {
+    return page.evaluate(waitForQuiet, settleMs, settleTimeout);
+}
+
+async function autoScroll(page, settings) {
+    let scrolls = 0;
+    while (scrolls < settings.maxScrolls && timeLeft(settings) > 0) {
+        await page.evaluate(scrollStep);
+        scrolls++;
+        // Checked after settling, as infinite scroll adds more page below
+        await waitForDomSettle(page, settleSettings(settings));
+        if (!await page.evaluate(hasMoreBelow)) break;
+    }
+    return scrolls;
+}
+
+/**
+ * Do what a visitor does and Googlebot does not: scroll to the bottom so
+ * lazy and infinite-scroll content loads, then open disclosure widgets
+ * (details, accordions, tabs) and click "load more" buttons, letting the
+ * DOM settle after each step.
+ *
+ * A click that navigates away is undone by loading `url` again, keeping
+ * only the content scrolling reveals.
+ *
+ * Pages that never stop changing would keep this going far longer than a
+ * page may take, so it stops at `deadline` and keeps what it revealed so far.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {Partial<typeof DEFAULT_INTERACTION>} [options]
+ * @returns {Promise<{ scrolls: number, expanded: number, navigated: boolean, timedOut: boolean }>}
+ */
+async function runInteractionPhase(page, url, options = {}) {
+    const settings = { ...DEFAULT_INTERACTION, ...options };
+    const startUrl = withoutHash(page.url());
+    const stats = { scrolls: 0, expanded: 0, navigated: false, timedOut: false };
+
+    stats.scrolls += await autoScroll(page, settings);
+
+    for (let round = 0; round < settings.maxRounds && timeLeft(settings) > 0; round++) {
+        const expanded = await page.evaluate(expandDisclosures, settings.maxClicks);
+        if (expanded === 0) break;
+        stats.expanded += expanded;
+        await waitForDomSettle(page, settleSettings(settings));
+
+        if (withoutHash(page.url()) !== startUrl) {
+            console.log(`Interaction on ${url} navigated to ${page.url()}, reloading without clicks.`);
+            stats.navigated = true;
+            await gotoPolitely(page, url, { waitUntil: 'networkidle2' });
+            await waitForDomSettle(page, settleSettings(settings));
+            stats.scrolls += await autoScroll(page, settings);
+            break;
+        }
+        stats.scrolls += await autoScroll(page, settings);
+    }
+
+    stats.timedOut = timeLeft(settings) <= 0;
+    if (stats.timedOut) console.log(`Interaction on ${url} stopped at its time limit, keeping the content revealed so far.`);
+    return stats;
+}
+
+module.exports = {
+    DEFAULT_INTERACTION,
+    waitForDomSettle,
+    runInteractionPhase,
+    expandDisclosures
+};
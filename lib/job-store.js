@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_DIR = '.finding-ssr';
+
+const SITE_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+function createJobId() {
+    return `job-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`;
+}
+
+function jobFile(jobId, stateDir) {
+    if (!/^[\w.-]+$/.test(jobId)) {
+        throw new Error(`Invalid job id "${jobId}": use letters, digits, dots, dashes and underscores only`);
+    }
+    return path.join(stateDir, 'jobs', `${jobId}.jsonl`);
+}
+
+function jobExists(jobId, { stateDir = DEFAULT_STATE_DIR } = {}) {
+    return fs.existsSync(jobFile(jobId, stateDir));
+}
+
+// Replay the journal: every line is an event carrying the fields of a site
+// that changed, applied in order. A torn final line from a crash mid-write
+// is ignored.
+function loadJournal(file) {
+    const state = { createdAt: null, sites: new Map() };
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            if (index < lines.length - 2) console.error(`Ignoring unreadable line ${index + 1} in ${file}`);
+            return;
+        }
+        if (event.type === 'job') {
+            state.createdAt = event.at;
+        } else if (event.type === 'site') {
+            // Journals written before events held changes only have the whole site
+            const changes = event.changes || event.site;
+            const url = event.url || event.site.url;
+            state.sites.set(url, { ...state.sites.get(url), ...changes });
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Open the persistent state of a job, creating it when it does not exist.
+ *
+ * State is an append-only journal (`<stateDir>/jobs/<jobId>.jsonl`), one JSON
+ * event per line, so each update is a single small append that survives the
+ * process dying at any point. Events hold only the fields that changed: a
+ * site's result is written once, when it finishes, however often it is
+ * retried.
+ *
+ * @param {string} jobId
+ * @param {{ stateDir?: string }} [options]
+ */
+function openJob(jobId, { stateDir = DEFAULT_STATE_DIR } = {}) {
+    const file = jobFile(jobId, stateDir);
+    const existed = fs.existsSync(file);
+
+    let state;
+    if (existed) {
+        state = loadJournal(file);
+    } else {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        state = { createdAt: new Date().toISOString(), sites: new Map() };
+        fs.writeFileSync(file, `${JSON.stringify({ type: 'job', id: jobId, at: state.createdAt })}\n`);
+    }
+
+    const record = (url, changes) => {
+        const site = { ...state.sites.get(url), ...changes };
+        state.sites.set(url, site);
+        fs.appendFileSync(file, `${JSON.stringify({ type: 'site', at: new Date().toISOString(), url, changes })}\n`);
+        return site;
+    };
+
+    const update = (url, changes) => {
+        if (!state.sites.has(url)) throw new Error(`Site ${url} is not part of job ${jobId}`);
+        return record(url, changes);
+    };
+
+    return {
+        id: jobId,
+        file,
+        existed,
+
+        /** Add sites not yet in the job, in order. Returns how many were new. */
+        addSites(urls) {
+            const added = urls.filter((url, index) => !state.sites.has(url) && urls.indexOf(url) === index);
+            added.forEach(url => record(url, { url, status: SITE_STATUS.PENDING, attempts: 0, error: null, result: null }));
+            return added.length;
+        },
+
+        sites() {
+            return Array.from(state.sites.values());
+        },
+
+        /**
+         * Sites still to analyse: pending ones, ones interrupted while running
+         * and failed ones with attempts left.
+         */
+        sitesToRun(maxAttempts) {
+            return this.sites()
+                .filter(site => site.status === SITE_STATUS.PENDING ||
+                    ((site.status === SITE_STATUS.RUNNING || site.status === SITE_STATUS.FAILED) && site.attempts < maxAttempts))
+                .map(site => site.url);
+        },
+
+        markRunning(url) {
+            const site = state.sites.get(url);
+            return update(url, { status: SITE_STATUS.RUNNING, attempts: (site ? site.attempts : 0) + 1, startedAt: new Date().toISOString() });
+        },
+
+        /** Store the result of `analyzeWebsite` for a site. */
+        markFinished(url, result) {
+            const failed = result.status === 'failed';
+            return update(url, {
+                status: failed ? SITE_STATUS.FAILED : SITE_STATUS.DONE,
+                error: failed ? result.error : null,
+                result,
+                finishedAt: new Date().toISOString()
+            });
+        },
+
+        /** Stored results of every finished site, in the order sites were added. */
+        results() {
+            return this.sites().filter(site => site.result).map(site => site.result);
+        },
+
+        summary() {
+            const counts = {};
+            Object.values(SITE_STATUS).forEach(status => {
+                counts[status] = 0;
+            });
+            this.sites().forEach(site => {
+                counts[site.status]++;
+            });
+            return counts;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STATE_DIR,
+    SITE_STATUS,
+    createJobId,
+    jobExists,
+    openJob
+};
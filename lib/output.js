@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { parityHeaders } = require('./seo-parity');
+const { contentBucketHeaders } = require('./coverage');
+const { performanceHeaders } = require('./performance');
+const { screenshotHeaders } = require('./screenshots');
+const { captureHeaders } = require('./googlebot');
+const { errorHeaders } = require('./errors');
+const { deviceHeaders } = require('./devices');
+const { renderDashboard } = require('./dashboard');
+
+const OUTPUT_FORMATS = ['csv', 'json', 'ndjson', 'html'];
+
+const CSV_HEADERS = [
+    { id: 'baseUrl', title: 'Base URL' },
+    { id: 'analyzedUrl', title: 'Analyzed URL' },
+    { id: 'language', title: 'Language' },
+    { id: 'framework', title: 'Framework' },
+    { id: 'frameworkVersion', title: 'Framework Version' },
+    { id: 'frameworkConfidence', title: 'Detection Confidence' },
+    { id: 'ssrPercentage', title: 'SSR Percentage' },
+    ...errorHeaders(),
+    { id: 'template', title: 'Route Template' },
+    { id: 'templatePages', title: 'Template Pages' },
+    { id: 'templateSsrPercentage', title: 'Template SSR Percentage' },
+    { id: 'missingBlocks', title: 'Missing Blocks' },
+    { id: 'missingHeadings', title: 'Missing Headings' },
+    { id: 'missingLinks', title: 'Missing Links' },
+    ...deviceHeaders(),
+    ...contentBucketHeaders(),
+    ...performanceHeaders(),
+    ...screenshotHeaders(),
+    ...parityHeaders(),
+    ...captureHeaders()
+];
+
+/**
+ * Output file for each format: `results.csv` with formats csv,json gives
+ * results.csv and results.json.
+ *
+ * @param {string} output Output path, with or without an extension
+ * @param {string[]} formats
+ * @returns {Object<string, string>}
+ */
+function outputPaths(output, formats) {
+    const extension = path.extname(output).slice(1).toLowerCase();
+    const base = OUTPUT_FORMATS.includes(extension) ? output.slice(0, -(extension.length + 1)) : output;
+    const paths = {};
+    formats.forEach(format => {
+        paths[format] = `${base}.${format}`;
+    });
+    return paths;
+}
+
+function validateFormats(formats) {
+    const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown output format(s): ${unknown.join(', ')}. Available formats: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Write site results in the requested formats. CSV rows and NDJSON lines
+ * (one site result per line) are appended as each site finishes; the JSON
+ * document and the HTML dashboard are written once on `close()`.
+ *
+ * @param {string} output
+ * @param {string[]} formats
+ */
+function createResultWriter(output, formats) {
+    validateFormats(formats);
+    const paths = outputPaths(output, formats);
+    const sites = [];
+
+    const csvWriter = paths.csv ? createCsvWriter({ path: paths.csv, header: CSV_HEADERS }) : null;
+    if (paths.ndjson) fs.writeFileSync(paths.ndjson, '');
+
+    // Sites finish in any order; chain the writes so they never interleave
+    let csvWriteQueue = Promise.resolve();
+
+    const write = siteResult => {
+        sites.push(siteResult);
+        if (paths.ndjson) fs.appendFileSync(paths.ndjson, `${JSON.stringify(siteResult)}\n`);
+        if (!csvWriter) return Promise.resolve();
+        csvWriteQueue = csvWriteQueue.catch(() => {}).then(() => csvWriter.writeRecords(siteResult.records));
+        return csvWriteQueue;
+    };
+
+    const close = async () => {
+        await csvWriteQueue;
+        const generatedAt = new Date().toISOString();
+        if (paths.json) {
+            const document = { generatedAt, sites };
+            fs.writeFileSync(paths.json, JSON.stringify(document, null, 2));
+        }
+        if (paths.html) fs.writeFileSync(paths.html, renderDashboard(sites, { columns: CSV_HEADERS, generatedAt }));
+        return paths;
+    };
+
+    return { paths, write, close };
+}
+
+/**
+ * Load site results previously written with the json or ndjson format.
+ *
+ * @param {string} file
+ */
+function readResults(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.ndjson') {
+        return content.split('\n').filter(line => line.trim()).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file} line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+    }
+
+    const document = JSON.parse(content);
+    if (!document || !Array.isArray(document.sites)) {
+        throw new Error(`${file} is not a results file written with --format json`);
+    }
+    return document.sites;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    CSV_HEADERS,
+    outputPaths,
+    validateFormats,
+    createResultWriter,
+    readResults
+};
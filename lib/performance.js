@@ -0,0 +1,204 @@
+// Long tasks block the main thread for whatever exceeds this, as in Lighthouse
+const LONG_TASK_BLOCKING_MS = 50;
+
+// Runs in the page before any of its scripts. Must stay self-contained: it is
+// serialised by Puppeteer. Records LCP, layout shifts, long tasks and the
+// moment a framework mounts its root, in `window.__findingSsrMetrics`.
+function installObservers() {
+    const metrics = { lcp: null, clsSessions: [], longTasks: [], hydration: null, hydrationFramework: null };
+    window.__findingSsrMetrics = metrics;
+    performance.setResourceTimingBufferSize(1000);
+
+    const observe = (type, callback) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+        } catch (error) {
+            // Entry type not supported by this Chromium
+        }
+    };
+
+    observe('largest-contentful-paint', entry => {
+        metrics.lcp = entry.startTime;
+    });
+
+    // CLS is the worst session window: shifts less than 1s apart, at most 5s long
+    let session = null;
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+        if (session && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+            session.value += entry.value;
+            session.last = entry.startTime;
+        } else {
+            session = { start: entry.startTime, last: entry.startTime, value: entry.value };
+            metrics.clsSessions.push(session);
+        }
+    });
+
+    observe('longtask', entry => {
+        metrics.longTasks.push({ start: entry.startTime, duration: entry.duration });
+    });
+
+    // React keeps its root on the container element (`__reactContainer$<id>`
+    // since React 18, `_reactRootContainer` before), which is the document
+    // itself when the whole page is hydrated. Vue keeps it on `__vue_app__`
+    // or `__vue__`, and Angular marks its root with `ng-version`.
+    const mountedFramework = () => {
+        if (!document.body) return null;
+        const candidates = [document, document.body, ...document.querySelectorAll('body > *, #root, #app, #__next, #___gatsby, [data-reactroot]')];
+        for (const el of candidates) {
+            if (el._reactRootContainer || Object.keys(el).some(key => key.startsWith('__reactContainer$'))) return 'React';
+            if (el.__vue_app__ || el.__vue__) return 'Vue';
+        }
+        return document.querySelector('[ng-version]') ? 'Angular' : null;
+    };
+
+    const started = Date.now();
+    const poll = () => {
+        const framework = mountedFramework();
+        if (framework) {
+            metrics.hydration = performance.now();
+            metrics.hydrationFramework = framework;
+        } else if (Date.now() - started < 60000) {
+            setTimeout(poll, 25);
+        }
+    };
+    poll();
+}
+
+// Runs inside the page once it has loaded
+function readMetrics(blockingMs) {
+    const metrics = window.__findingSsrMetrics || { lcp: null, clsSessions: [], longTasks: [], hydration: null, hydrationFramework: null };
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const paint = performance.getEntriesByName('first-contentful-paint')[0];
+    const fcp = paint ? paint.startTime : null;
+
+    // Content counts as shown at the largest paint, or the first one without it
+    const contentAt = metrics.lcp != null ? metrics.lcp : fcp;
+    const fetches = performance.getEntriesByType('resource')
+        .filter(entry => entry.initiatorType === 'fetch' || entry.initiatorType === 'xmlhttprequest');
+
+    return {
+        ttfb: navigation ? navigation.responseStart : null,
+        fcp,
+        lcp: metrics.lcp,
+        cls: metrics.clsSessions.reduce((worst, session) => Math.max(worst, session.value), 0),
+        tbt: fcp == null ? null : metrics.longTasks
+            .filter(task => task.start >= fcp)
+            .reduce((total, task) => total + Math.max(0, task.duration - blockingMs), 0),
+        hydration: metrics.hydration,
+        hydrationFramework: metrics.hydrationFramework,
+        dataFetches: fetches.length,
+        fetchesBeforeContent: contentAt == null ? fetches.length : fetches.filter(entry => entry.startTime < contentAt).length
+    };
+}
+
+/**
+ * Start measuring a page: call before navigating, then `collect()` once it
+ * has loaded. The cache is disabled so every page is measured as a first
+ * visit, and JavaScript is counted by its transfer size.
+ *
+ * TBT is measured from FCP to the moment of collection, as the lab run has
+ * no Time to Interactive to stop at. Time to hydration is when React, Vue
+ * or Angular mounted its root, null when none did.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{ collect: () => Promise<Object> }>}
+ */
+async function startPerformanceCapture(page) {
+    await page.setCacheEnabled(false);
+    await page.evaluateOnNewDocument(installObservers);
+
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+    const scripts = new Set();
+    let jsBytes = 0;
+    client.on('Network.responseReceived', ({ requestId, type }) => {
+        if (type === 'Script') scripts.add(requestId);
+    });
+    client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+        if (scripts.has(requestId)) jsBytes += encodedDataLength;
+    });
+
+    return {
+        async collect() {
+            const metrics = await page.evaluate(readMetrics, LONG_TASK_BLOCKING_MS);
+            return { ...metrics, jsRequests: scripts.size, jsBytes };
+        }
+    };
+}
+
+function milliseconds(value) {
+    return value == null ? 'N/A' : String(Math.round(value));
+}
+
+/**
+ * CSV columns for a page's performance metrics, 'N/A' when none were
+ * measured.
+ */
+function performanceColumns(metrics) {
+    if (!metrics) {
+        return {
+            perf_ttfb: 'N/A', perf_fcp: 'N/A', perf_lcp: 'N/A', perf_cls: 'N/A', perf_tbt: 'N/A',
+            perf_hydration: 'N/A', perf_jsRequests: 'N/A', perf_jsKb: 'N/A', perf_fetchesBeforeContent: 'N/A'
+        };
+    }
+    return {
+        perf_ttfb: milliseconds(metrics.ttfb),
+        perf_fcp: milliseconds(metrics.fcp),
+        perf_lcp: milliseconds(metrics.lcp),
+        perf_cls: metrics.cls.toFixed(3),
+        perf_tbt: milliseconds(metrics.tbt),
+        perf_hydration: metrics.hydration == null ? 'Not detected' : `${Math.round(metrics.hydration)} (${metrics.hydrationFramework})`,
+        perf_jsRequests: metrics.jsRequests,
+        perf_jsKb: (metrics.jsBytes / 1024).toFixed(1),
+        perf_fetchesBeforeContent: `${metrics.fetchesBeforeContent} of ${metrics.dataFetches}`
+    };
+}
+
+function performanceHeaders() {
+    return [
+        { id: 'perf_ttfb', title: 'TTFB (ms)' },
+        { id: 'perf_fcp', title: 'FCP (ms)' },
+        { id: 'perf_lcp', title: 'LCP (ms)' },
+        { id: 'perf_cls', title: 'CLS' },
+        { id: 'perf_tbt', title: 'TBT (ms)' },
+        { id: 'perf_hydration', title: 'Time to Hydration (ms)' },
+        { id: 'perf_jsRequests', title: 'JS Requests' },
+        { id: 'perf_jsKb', title: 'JS Transferred (KB)' },
+        { id: 'perf_fetchesBeforeContent', title: 'Data Fetches before Content' }
+    ];
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median metrics over a site's CSV records, for reports. Records without
+ * measurements (skipped sites, older results) are left out.
+ *
+ * @param {Object[]} records
+ */
+function summarizePerformance(records) {
+    const medianOf = (key, digits = 0) => {
+        const value = median(records.map(record => parseFloat(record[key])).filter(number => !isNaN(number)));
+        return value == null ? 'N/A' : value.toFixed(digits);
+    };
+    return {
+        medianLCP: medianOf('perf_lcp'),
+        medianTBT: medianOf('perf_tbt'),
+        medianCLS: medianOf('perf_cls', 3),
+        medianHydration: medianOf('perf_hydration'),
+        medianJsKb: medianOf('perf_jsKb', 1)
+    };
+}
+
+module.exports = {
+    startPerformanceCapture,
+    performanceColumns,
+    performanceHeaders,
+    summarizePerformance
+};
@@ -0,0 +1,115 @@
+// Path segments that are values rather than route names, checked in order.
+// `previous` is the placeholder given to the segment before.
+const PLACEHOLDERS = [
+    { name: ':yyyy', test: segment => /^(19|20)\d{2}$/.test(segment) },
+    { name: ':mm', test: (segment, previous) => previous === ':yyyy' && /^(0?[1-9]|1[0-2])$/.test(segment) },
+    { name: ':dd', test: (segment, previous) => previous === ':mm' && /^(0?[1-9]|[12]\d|3[01])$/.test(segment) },
+    { name: ':id', test: segment => /^\d+$/.test(segment) },
+    { name: ':id', test: segment => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(segment) },
+    { name: ':id', test: segment => /^[0-9a-f]{16,}$/.test(segment) }
+];
+
+// Templates worth little for SEO, sampled only when nothing better is left
+const LOW_VALUE_SEGMENTS = /^(tags?|authors?|page|search|feed|rss|archives?|login|register|signin|signup|account|cart|checkout|wp-json|wp-admin|cdn-cgi)$/;
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment).toLowerCase();
+    } catch (error) {
+        return segment.toLowerCase();
+    }
+}
+
+/**
+ * Path segments of a URL with dates, numbers and hashes already replaced by
+ * placeholders: `/blog/2023/05/hello` gives ['blog', ':yyyy', ':mm', 'hello'].
+ *
+ * @param {string} url
+ * @returns {string[]}
+ */
+function typedSegments(url) {
+    const typed = [];
+    new URL(url).pathname.split('/').filter(Boolean).map(decodeSegment).forEach(segment => {
+        const placeholder = PLACEHOLDERS.find(candidate => candidate.test(segment, typed[typed.length - 1]));
+        typed.push(placeholder ? placeholder.name : segment);
+    });
+    return typed;
+}
+
+/**
+ * Group URLs into route templates such as `/product/:slug` or
+ * `/blog/:yyyy/:slug`.
+ *
+ * URLs are split by path length, then segment by segment. A segment is a
+ * `:slug` only where URLs share everything before it and it is unique to
+ * each of them (numeric ids alongside slugs count as slugs too); otherwise
+ * it stays part of the route. So `/product/a` and `/product/b` give
+ * `/product/:slug`, while `/about`, `/contact` and a lone
+ * `/product/a/reviews` each are a template of their own. The homepage is
+ * always `/` on its own.
+ *
+ * @param {Array<{ url: string }>} entries
+ * @returns {Array<{ template: string, entries: Array<{ url: string }> }>} In order of first appearance
+ */
+function clusterRoutes(entries) {
+    const templates = new Map();
+    const add = (template, items) => {
+        if (!templates.has(template)) templates.set(template, []);
+        templates.get(template).push(...items.map(item => item.entry));
+    };
+
+    const split = (items, position, prefix) => {
+        if (position === items[0].segments.length) {
+            add(`/${prefix.join('/')}`, items);
+            return;
+        }
+
+        const counts = new Map();
+        items.forEach(item => counts.set(item.segments[position], (counts.get(item.segments[position]) || 0) + 1));
+
+        // Top-level sections share no prefix, and a URL alone differs from nothing
+        const variable = position > 0 && items.length > 1;
+        const groups = new Map();
+        items.forEach(item => {
+            const segment = item.segments[position];
+            const key = !variable || segment.startsWith(':') || counts.get(segment) > 1 ? segment : ':slug';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        // `/product/123` and `/product/blue-shoe` are the same route
+        if (groups.has(':slug') && groups.has(':id')) {
+            groups.get(':slug').push(...groups.get(':id'));
+            groups.delete(':id');
+        }
+        groups.forEach((group, key) => split(group, position + 1, [...prefix, key]));
+    };
+
+    const byLength = new Map();
+    entries.forEach(entry => {
+        let segments;
+        try {
+            segments = typedSegments(entry.url);
+        } catch (error) {
+            return;
+        }
+        if (!byLength.has(segments.length)) byLength.set(segments.length, []);
+        byLength.get(segments.length).push({ entry, segments });
+    });
+    byLength.forEach(items => split(items, 0, []));
+
+    // List templates in the order their first URL appears
+    const firstSeen = new Map(entries.map((entry, index) => [entry, index]));
+    return Array.from(templates.entries())
+        .map(([template, items]) => ({ template, entries: items }))
+        .sort((a, b) => firstSeen.get(a.entries[0]) - firstSeen.get(b.entries[0]));
+}
+
+function isLowValueTemplate(template) {
+    return template.split('/').some(segment => LOW_VALUE_SEGMENTS.test(segment));
+}
+
+module.exports = {
+    typedSegments,
+    clusterRoutes,
+    isLowValueTemplate
+};
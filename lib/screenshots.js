@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { Resvg } = require('@resvg/resvg-js');
+
+const FONT_FILE = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+const FONT_FAMILY = 'DejaVu Sans';
+
+// Full-page screenshots stop here, so infinite scroll cannot produce endless images
+const MAX_SCREENSHOT_HEIGHT = 8000;
+
+// The composite is scaled down to this width, to stay small enough for email
+const MAX_COMPOSITE_WIDTH = 1600;
+
+// Differences are highlighted per cell of this size, as regions rather than pixels
+const DIFF_CELL = 16;
+
+const SCREENSHOT_FILES = {
+    jsOff: 'js-off.png',
+    jsOn: 'js-on.png',
+    composite: 'side-by-side.png',
+    diff: 'diff.png'
+};
+
+/**
+ * Screenshot of the whole page, cut off at `MAX_SCREENSHOT_HEIGHT`.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Buffer>}
+ */
+async function fullPageScreenshot(page) {
+    const { width, height } = await page.evaluate(() => ({
+        width: document.documentElement.clientWidth,
+        height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+    }));
+    return page.screenshot({
+        type: 'png',
+        captureBeyondViewport: true,
+        clip: { x: 0, y: 0, width: Math.max(width, 1), height: Math.min(Math.max(height, 1), MAX_SCREENSHOT_HEIGHT) }
+    });
+}
+
+// Copy `image` onto a white canvas of the given size
+function padTo(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+    const padded = new PNG({ width, height });
+    padded.data.fill(255);
+    PNG.bitblt(image, padded, 0, 0, Math.min(image.width, width), Math.min(image.height, height), 0, 0);
+    return padded;
+}
+
+/**
+ * Compare the two renders pixel by pixel. The overlay is the JS-on render
+ * with every region that differs from the JS-off one tinted red, which is
+ * the content only there once JavaScript has run.
+ *
+ * @param {Buffer} jsOffPng
+ * @param {Buffer} jsOnPng
+ * @returns {{ diff: Buffer, diffPercentage: number }}
+ */
+function diffScreenshots(jsOffPng, jsOnPng) {
+    const jsOffImage = PNG.sync.read(jsOffPng);
+    const jsOnImage = PNG.sync.read(jsOnPng);
+    const width = Math.max(jsOffImage.width, jsOnImage.width);
+    const height = Math.max(jsOffImage.height, jsOnImage.height);
+    const jsOff = padTo(jsOffImage, width, height);
+    const jsOn = padTo(jsOnImage, width, height);
+
+    const mask = new PNG({ width, height });
+    const differing = pixelmatch(jsOn.data, jsOff.data, mask.data, width, height, { threshold: 0.1, diffMask: true });
+
+    // Tint each cell with any differing pixel, on a copy of the JS-on render
+    const overlay = new PNG({ width, height });
+    jsOn.data.copy(overlay.data);
+    for (let cellY = 0; cellY < height; cellY += DIFF_CELL) {
+        for (let cellX = 0; cellX < width; cellX += DIFF_CELL) {
+            const maxY = Math.min(cellY + DIFF_CELL, height);
+            const maxX = Math.min(cellX + DIFF_CELL, width);
+            let changed = false;
+            for (let y = cellY; y < maxY && !changed; y++) {
+                for (let x = cellX; x < maxX && !changed; x++) {
+                    changed = mask.data[(y * width + x) * 4 + 3] > 0;
+                }
+            }
+            if (!changed) continue;
+            for (let y = cellY; y < maxY; y++) {
+                for (let x = cellX; x < maxX; x++) {
+                    const index = (y * width + x) * 4;
+                    overlay.data[index] = Math.round(overlay.data[index] * 0.5 + 255 * 0.5);
+                    overlay.data[index + 1] = Math.round(overlay.data[index + 1] * 0.5);
+                    overlay.data[index + 2] = Math.round(overlay.data[index + 2] * 0.5);
+                }
+            }
+        }
+    }
+
+    return {
+        diff: PNG.sync.write(overlay),
+        diffPercentage: (differing / (width * height)) * 100
+    };
+}
+
+/**
+ * The JS-off and JS-on renders next to each other, each with a caption.
+ *
+ * @param {Buffer} jsOffPng
+ * @param {Buffer} jsOnPng
+ * @returns {Buffer}
+ */
+function composeSideBySide(jsOffPng, jsOnPng) {
+    const jsOff = PNG.sync.read(jsOffPng);
+    const jsOn = PNG.sync.read(jsOnPng);
+    const gap = 24;
+    const caption = 48;
+    const width = jsOff.width + jsOn.width + gap * 3;
+    const height = Math.max(jsOff.height, jsOn.height) + caption + gap;
+
+    const panel = (png, image, x, label) => `
+  <text x="${x + image.width / 2}" y="32" font-size="22" text-anchor="middle" fill="#333333">${label}</text>
+  <rect x="${x - 1}" y="${caption - 1}" width="${image.width + 2}" height="${image.height + 2}" fill="none" stroke="#cccccc"/>
+  <image x="${x}" y="${caption}" width="${image.width}" height="${image.height}" href="data:image/png;base64,${png.toString('base64')}"/>`;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+  <rect width="100%" height="100%" fill="#ffffff"/>${panel(jsOffPng, jsOff, gap, 'Without JavaScript')}${panel(jsOnPng, jsOn, jsOff.width + gap * 2, 'With JavaScript')}
+</svg>`;
+
+    const resvg = new Resvg(svg, {
+        fitTo: width > MAX_COMPOSITE_WIDTH ? { mode: 'width', value: MAX_COMPOSITE_WIDTH } : { mode: 'original' },
+        font: { loadSystemFonts: false, fontFiles: [FONT_FILE], defaultFontFamily: FONT_FAMILY }
+    });
+    return resvg.render().asPng();
+}
+
+// One directory per analyzed URL, named after it
+function screenshotDirFor(baseDir, url) {
+    const { hostname, pathname, search } = new URL(url);
+    const name = `${hostname}${pathname}${search}`.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').toLowerCase();
+    return path.join(baseDir, name.slice(0, 150) || 'page');
+}
+
+/**
+ * Store both renders of a page with their composite and diff overlay in a
+ * directory of their own under `baseDir`.
+ *
+ * @param {string} baseDir
+ * @param {string} url
+ * @param {{ jsOff: Buffer, jsOn: Buffer }} screenshots
+ * @returns {{ dir: string, jsOff: string, jsOn: string, composite: string, diff: string, diffPercentage: number }}
+ */
+function saveScreenshots(baseDir, url, { jsOff, jsOn }) {
+    const dir = screenshotDirFor(baseDir, url);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const { diff, diffPercentage } = diffScreenshots(jsOff, jsOn);
+    const files = {
+        jsOff: path.join(dir, SCREENSHOT_FILES.jsOff),
+        jsOn: path.join(dir, SCREENSHOT_FILES.jsOn),
+        composite: path.join(dir, SCREENSHOT_FILES.composite),
+        diff: path.join(dir, SCREENSHOT_FILES.diff)
+    };
+    fs.writeFileSync(files.jsOff, jsOff);
+    fs.writeFileSync(files.jsOn, jsOn);
+    fs.writeFileSync(files.composite, composeSideBySide(jsOff, jsOn));
+    fs.writeFileSync(files.diff, diff);
+
+    return { dir, ...files, diffPercentage };
+}
+
+/**
+ * CSV columns for a page's screenshots, 'N/A' when none were taken.
+ */
+function screenshotColumns(screenshots) {
+    if (!screenshots) return { visualDiff: 'N/A', screenshots: 'N/A' };
+    return {
+        visualDiff: screenshots.diffPercentage.toFixed(2),
+        screenshots: screenshots.dir
+    };
+}
+
+function screenshotHeaders() {
+    return [
+        { id: 'visualDiff', title: 'Visual Difference %' },
+        { id: 'screenshots', title: 'Screenshots' }
+    ];
+}
+
+module.exports = {
+    SCREENSHOT_FILES,
+    fullPageScreenshot,
+    diffScreenshots,
+    composeSideBySide,
+    saveScreenshots,
+    screenshotColumns,
+    screenshotHeaders
+};
@@ -0,0 +1,185 @@
+const cheerio = require('cheerio');
+
+const STATUS = {
+    SERVER: 'server', // Present without JS and unchanged after hydration
+    CLIENT: 'client', // Only present once JS has run
+    CHANGED: 'changed', // Present without JS but rewritten by JS
+    MISSING: 'missing' // Absent from both renders
+};
+
+const STATUS_LABELS = {
+    [STATUS.SERVER]: 'Server-side',
+    [STATUS.CLIENT]: 'Injected client-side',
+    [STATUS.CHANGED]: 'Changed by hydration',
+    [STATUS.MISSING]: 'Missing'
+};
+
+// Elements checked, in the order they are reported
+const ELEMENTS = [
+    { key: 'title', label: 'Title' },
+    { key: 'metaDescription', label: 'Meta description' },
+    { key: 'canonical', label: 'Canonical' },
+    { key: 'robots', label: 'Robots meta' },
+    { key: 'hreflang', label: 'Hreflang' },
+    { key: 'openGraph', label: 'Open Graph' },
+    { key: 'headings', label: 'H1/H2 structure' },
+    { key: 'structuredData', label: 'Structured data' },
+    { key: 'internalLinks', label: 'Internal links' },
+    { key: 'imageAlt', label: 'Image alt text' }
+];
+
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function uniqueSorted(values) {
+    return Array.from(new Set(values.filter(Boolean))).sort();
+}
+
+function resolveUrl(href, pageUrl) {
+    try {
+        const url = new URL(href, pageUrl);
+        url.hash = '';
+        return url.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function sameHost(url, pageUrl) {
+    const strip = hostname => hostname.replace(/^www\./, '');
+    return strip(new URL(url).hostname) === strip(new URL(pageUrl).hostname);
+}
+
+// Key order and whitespace differences in JSON-LD are not real changes
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Pull the SEO-critical elements out of a rendered document. Single-valued
+ * elements are strings (empty when absent), the rest are sorted lists so two
+ * renders can be compared regardless of DOM order.
+ *
+ * @param {string} html
+ * @param {string} pageUrl Used to resolve relative links and tell internal from external
+ */
+function extractSeoElements(html, pageUrl) {
+    const $ = cheerio.load(html);
+
+    const structuredData = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const source = $(el).html() || '';
+        try {
+            structuredData.push(canonicalJson(JSON.parse(source)));
+        } catch (error) {
+            // Keep malformed blocks so a fix after hydration still shows as a change
+            if (clean(source)) structuredData.push(`invalid:${clean(source)}`);
+        }
+    });
+
+    const internalLinks = [];
+    $('a[href]').each((_, el) => {
+        const url = resolveUrl($(el).attr('href'), pageUrl);
+        if (url && /^https?:/.test(url) && sameHost(url, pageUrl)) internalLinks.push(url);
+    });
+
+    const canonicalHref = clean($('link[rel="canonical" i]').attr('href'));
+
+    return {
+        title: clean($('head title').first().text() || $('title').first().text()),
+        metaDescription: clean($('meta[name="description" i]').attr('content')),
+        canonical: canonicalHref ? resolveUrl(canonicalHref, pageUrl) || canonicalHref : '',
+        robots: uniqueSorted($('meta[name="robots" i], meta[name="googlebot" i]').map((_, el) =>
+            `${$(el).attr('name').toLowerCase()}=${clean($(el).attr('content')).toLowerCase()}`).get()),
+        hreflang: uniqueSorted($('link[rel="alternate" i][hreflang]').map((_, el) =>
+            `${$(el).attr('hreflang').toLowerCase()}=${resolveUrl($(el).attr('href') || '', pageUrl) || ''}`).get()),
+        openGraph: uniqueSorted($('meta[property^="og:"]').map((_, el) =>
+            `${$(el).attr('property')}=${clean($(el).attr('content'))}`).get()),
+        headings: $('h1, h2').map((_, el) => `${el.tagName.toLowerCase()}: ${clean($(el).text())}`).get(),
+        structuredData: uniqueSorted(structuredData),
+        internalLinks: uniqueSorted(internalLinks),
+        imageAlt: uniqueSorted($('img').map((_, el) => clean($(el).attr('alt'))).get())
+    };
+}
+
+function isEmpty(value) {
+    return Array.isArray(value) ? value.length === 0 : !value;
+}
+
+function isEqual(a, b) {
+    if (Array.isArray(a)) return a.length === b.length && a.every((value, index) => value === b[index]);
+    return a === b;
+}
+
+function compareValues(initial, final) {
+    if (isEmpty(initial) && isEmpty(final)) return { status: STATUS.MISSING };
+    if (isEmpty(initial)) return { status: STATUS.CLIENT };
+    if (isEqual(initial, final)) return { status: STATUS.SERVER };
+
+    const result = { status: STATUS.CHANGED };
+    if (Array.isArray(initial)) {
+        result.added = final.filter(value => !initial.includes(value));
+        result.removed = initial.filter(value => !final.includes(value));
+    }
+    return result;
+}
+
+/**
+ * Compare SEO-critical markup between the no-JS and JS renders of a page and
+ * flag each element as server-side, injected client-side, changed by
+ * hydration or missing.
+ *
+ * @param {string} initialHtml HTML captured with JavaScript disabled
+ * @param {string} finalHtml HTML captured after JavaScript ran
+ * @param {string} pageUrl
+ */
+function compareSeoElements(initialHtml, finalHtml, pageUrl) {
+    const initial = extractSeoElements(initialHtml, pageUrl);
+    const final = extractSeoElements(finalHtml, pageUrl);
+
+    const elements = {};
+    ELEMENTS.forEach(({ key, label }) => {
+        elements[key] = {
+            label,
+            ...compareValues(initial[key], final[key]),
+            initial: initial[key],
+            final: final[key]
+        };
+    });
+
+    const atRisk = ELEMENTS
+        .filter(({ key }) => elements[key].status === STATUS.CLIENT || elements[key].status === STATUS.CHANGED)
+        .map(({ key }) => key);
+
+    return { elements, atRisk };
+}
+
+/**
+ * Flatten a parity report into one CSV column per element.
+ */
+function parityColumns(parity) {
+    const columns = {};
+    ELEMENTS.forEach(({ key }) => {
+        columns[`seo_${key}`] = parity ? STATUS_LABELS[parity.elements[key].status] : 'N/A';
+    });
+    return columns;
+}
+
+function parityHeaders() {
+    return ELEMENTS.map(({ key, label }) => ({ id: `seo_${key}`, title: `SEO ${label}` }));
+}
+
+module.exports = {
+    STATUS,
+    STATUS_LABELS,
+    ELEMENTS,
+    extractSeoElements,
+    compareSeoElements,
+    parityColumns,
+    parityHeaders
+};
@@ -0,0 +1,204 @@
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const { fetchWithJitter } = require('./http');
+const { ERROR_CATEGORIES, AnalysisError, describeError } = require('./errors');
+
+// Fallback locations tried when robots.txt does not declare any sitemaps
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap.xml.gz'];
+
+const DEFAULT_OPTIONS = {
+    maxDepth: 3, // How many levels of nested <sitemapindex> to follow
+    maxSitemaps: 50, // Total sitemap documents fetched per site
+    maxUrls: 5000 // Stop collecting once this many page URLs are known
+};
+
+// Treat www.example.com and example.com as the same site
+function normalizeHost(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+}
+
+function isSameHost(url, homepageUrl) {
+    try {
+        return normalizeHost(new URL(url).hostname) === normalizeHost(new URL(homepageUrl).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function firstValue(node, key) {
+    if (!node || !node[key] || node[key].length === 0) return null;
+    const value = node[key][0];
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+function parseLastmod(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parsePriority(value) {
+    if (!value) return null;
+    const priority = parseFloat(value);
+    return isNaN(priority) ? null : Math.min(Math.max(priority, 0), 1);
+}
+
+async function fetchRobotsSitemaps(homepageUrl) {
+    try {
+        const robotsUrl = new URL('/robots.txt', homepageUrl).href;
+        console.log(`Reading sitemap declarations from ${robotsUrl}...`);
+        const response = await fetchWithJitter(robotsUrl, { responseType: 'text' });
+
+        const sitemaps = [];
+        String(response.data)
+            .split(/\r?\n/)
+            .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+            .filter(Boolean)
+            .forEach(match => {
+                // One malformed declaration must not hide the others
+                try {
+                    sitemaps.push(new URL(match[1], homepageUrl).href);
+                } catch (error) {
+                    console.error(`Ignoring invalid sitemap URL in robots.txt for ${homepageUrl}: ${match[1]}`);
+                }
+            });
+
+        console.log(`Found ${sitemaps.length} sitemap(s) in robots.txt for ${homepageUrl}.`);
+        return sitemaps;
+    } catch (error) {
+        console.error(`Error reading robots.txt for ${homepageUrl}:`, error.message);
+        return [];
+    }
+}
+
+// Fetch a sitemap document and return its XML as a string, inflating gzip
+// payloads whether or not the server labelled them as such
+async function fetchSitemapXml(sitemapUrl) {
+    const response = await fetchWithJitter(sitemapUrl, { responseType: 'arraybuffer' });
+    let body = Buffer.from(response.data);
+
+    if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+        body = zlib.gunzipSync(body);
+    }
+
+    return body.toString('utf8');
+}
+
+// Malformed documents throw an AnalysisError of the parse category
+async function parseSitemapXml(xml) {
+    const parser = new xml2js.Parser();
+    let result;
+    try {
+        result = await parser.parseStringPromise(xml);
+    } catch (error) {
+        throw new AnalysisError(ERROR_CATEGORIES.PARSE, `Malformed sitemap XML: ${error.message.split('\n')[0]}`, { cause: error });
+    }
+
+    if (result && result.sitemapindex) {
+        const sitemaps = (result.sitemapindex.sitemap || [])
+            .map(node => ({ url: firstValue(node, 'loc'), lastmod: parseLastmod(firstValue(node, 'lastmod')) }))
+            .filter(entry => entry.url);
+        return { type: 'index', sitemaps };
+    }
+
+    if (result && result.urlset) {
+        const urls = (result.urlset.url || [])
+            .map(node => ({
+                url: firstValue(node, 'loc'),
+                lastmod: parseLastmod(firstValue(node, 'lastmod')),
+                priority: parsePriority(firstValue(node, 'priority'))
+            }))
+            .filter(entry => entry.url);
+        return { type: 'urlset', urls };
+    }
+
+    throw new AnalysisError(ERROR_CATEGORIES.PARSE, 'Document is neither a <urlset> nor a <sitemapindex>');
+}
+
+// Most recently modified child sitemaps first, so the caps drop stale ones
+function byLastmodDesc(a, b) {
+    if (a.lastmod === b.lastmod) return 0;
+    if (!a.lastmod) return 1;
+    if (!b.lastmod) return -1;
+    return a.lastmod < b.lastmod ? 1 : -1;
+}
+
+/**
+ * Discover page URLs for a site from its XML sitemaps.
+ *
+ * Sitemaps are taken from robots.txt `Sitemap:` lines (falling back to the
+ * usual locations), sitemap indexes are followed up to `maxDepth` levels and
+ * gzipped sitemaps are inflated. Only URLs on the same host as `homepageUrl`
+ * are kept, de-duplicated, each with its `lastmod`, `priority` and the
+ * sitemap it came from.
+ *
+ * @param {string} homepageUrl
+ * @param {{ maxDepth?: number, maxSitemaps?: number, maxUrls?: number }} [options]
+ * @returns {Promise<Array<{ url: string, lastmod: string|null, priority: number|null, source: string }>>}
+ */
+async function discoverSitemapUrls(homepageUrl, options = {}) {
+    const { maxDepth, maxSitemaps, maxUrls } = { ...DEFAULT_OPTIONS, ...options };
+
+    let roots = await fetchRobotsSitemaps(homepageUrl);
+    if (roots.length === 0) {
+        roots = DEFAULT_SITEMAP_PATHS.map(sitemapPath => new URL(sitemapPath, homepageUrl).href);
+    }
+
+    const queue = roots.map(url => ({ url, depth: 0 }));
+    const visited = new Set();
+    const entries = new Map();
+
+    while (queue.length > 0 && visited.size < maxSitemaps && entries.size < maxUrls) {
+        const { url: sitemapUrl, depth } = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        try {
+            console.log(`Fetching sitemap ${sitemapUrl}...`);
+            const document = await parseSitemapXml(await fetchSitemapXml(sitemapUrl));
+
+            if (document.type === 'index') {
+                if (depth >= maxDepth) {
+                    console.log(`Not following sitemap index ${sitemapUrl}: maximum depth of ${maxDepth} reached.`);
+                    continue;
+                }
+                document.sitemaps
+                    .sort(byLastmodDesc)
+                    .forEach(child => queue.push({ url: new URL(child.url, sitemapUrl).href, depth: depth + 1 }));
+                console.log(`Sitemap index ${sitemapUrl} lists ${document.sitemaps.length} sitemap(s).`);
+                continue;
+            }
+
+            for (const entry of document.urls) {
+                if (entries.size >= maxUrls) break;
+                let url;
+                try {
+                    url = normalizeUrl(new URL(entry.url, sitemapUrl).href);
+                } catch (error) {
+                    continue;
+                }
+                if (!isSameHost(url, homepageUrl) || entries.has(url)) continue;
+                entries.set(url, { ...entry, url, source: sitemapUrl });
+            }
+            console.log(`Sitemap ${sitemapUrl} parsed. ${entries.size} unique URL(s) collected so far.`);
+        } catch (error) {
+            const { category, message } = describeError(error);
+            console.error(`Error fetching sitemap ${sitemapUrl} (${category}):`, message);
+        }
+    }
+
+    return Array.from(entries.values());
+}
+
+module.exports = {
+    discoverSitemapUrls,
+    fetchRobotsSitemaps,
+    parseSitemapXml,
+    isSameHost
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const Mustache = require('mustache');
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Files making up an email template directory. Only email.html is required:
+// without email.txt the plain-text part is generated from the rendered HTML.
+const TEMPLATE_FILES = {
+    html: 'email.html',
+    text: 'email.txt',
+    subject: 'subject.txt'
+};
+
+const DEFAULT_SUBJECT = 'Potential SEO Improvements for Your Website';
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+/**
+ * Find a template by built-in name (`default`) or by directory path.
+ *
+ * @param {string} nameOrPath
+ * @param {string} [baseDir] Directory relative template paths are resolved from
+ */
+function resolveTemplateDir(nameOrPath, baseDir = process.cwd()) {
+    const builtIn = path.join(BUILT_IN_TEMPLATES_DIR, nameOrPath);
+    if (/^[\w-]+$/.test(nameOrPath) && fs.existsSync(path.join(builtIn, TEMPLATE_FILES.html))) {
+        return builtIn;
+    }
+
+    const dir = path.resolve(baseDir, nameOrPath);
+    if (!fs.existsSync(path.join(dir, TEMPLATE_FILES.html))) {
+        throw new Error(`Email template "${nameOrPath}" not found: expected ${path.join(dir, TEMPLATE_FILES.html)}`);
+    }
+    return dir;
+}
+
+function readOptional(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function loadTemplate(templateDir) {
+    return {
+        dir: templateDir,
+        html: fs.readFileSync(path.join(templateDir, TEMPLATE_FILES.html), 'utf8'),
+        text: readOptional(path.join(templateDir, TEMPLATE_FILES.text)),
+        subject: readOptional(path.join(templateDir, TEMPLATE_FILES.subject))
+    };
+}
+
+/**
+ * Convert rendered email HTML into a readable plain-text alternative:
+ * paragraphs and list items on their own lines, links followed by their
+ * URL and images replaced by their alt text.
+ *
+ * @param {string} html
+ */
+function htmlToText(html) {
+    const $ = cheerio.load(html);
+    $('head, style, script').remove();
+
+    const blockTags = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'tr', 'blockquote'];
+
+    const walk = node => {
+        if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+        if (node.type !== 'tag' && node.type !== 'root') return '';
+
+        const tag = node.type === 'tag' ? node.tagName.toLowerCase() : '';
+        const inner = () => (node.children || []).map(walk).join('');
+
+        if (tag === 'br') return '\n';
+        if (tag === 'img') return $(node).attr('alt') ? `[${$(node).attr('alt')}]` : '';
+        if (tag === 'svg') return $(node).attr('aria-label') ? `[${$(node).attr('aria-label')}]` : '';
+        if (tag === 'a') {
+            const text = inner().trim();
+            const href = $(node).attr('href');
+            return href && href !== text && !href.startsWith('#') ? `${text} (${href})` : text;
+        }
+        if (tag === 'li') return `\n- ${inner().trim()}\n`;
+        if (blockTags.includes(tag)) return `\n\n${inner().trim()}\n\n`;
+        return inner();
+    };
+
+    return walk($.root()[0])
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
+
+/**
+ * Render a template with `view`. HTML is escaped by Mustache (`{{value}}`);
+ * use `{{{value}}}` only for markup the tool generated itself. Subject and
+ * plain text are rendered without HTML escaping.
+ *
+ * @param {ReturnType<typeof loadTemplate>} template
+ * @param {Object} view
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderTemplate(template, view) {
+    const plain = { escape: value => String(value) };
+
+    const subject = Mustache.render(template.subject || DEFAULT_SUBJECT, view, {}, plain).replace(/\s+/g, ' ').trim();
+    const html = Mustache.render(template.html, { ...view, subject }, {}, { escape: escapeHtml });
+    const text = template.text
+        ? Mustache.render(template.text, { ...view, subject }, {}, plain)
+        : htmlToText(html);
+
+    return { subject, html, text };
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATES_DIR,
+    escapeHtml,
+    resolveTemplateDir,
+    loadTemplate,
+    htmlToText,
+    renderTemplate
+};
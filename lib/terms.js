@@ -0,0 +1,245 @@
+const cheerio = require('cheerio');
+const stopword = require('stopword');
+const snowball = require('snowball-stemmers');
+
+// Scripts that identify a language on their own, checked in order: Japanese
+// text mixes kana with Han, so kana has to win over Han. A declared language
+// listed in `others` is trusted, as it is written in the same script.
+const SCRIPT_LANGUAGES = [
+    { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, others: [] },
+    { language: 'ko', pattern: /\p{Script=Hangul}/gu, others: [] },
+    { language: 'zh', pattern: /\p{Script=Han}/gu, others: [] },
+    { language: 'hi', pattern: /\p{Script=Devanagari}/gu, others: ['mr', 'ne'] },
+    { language: 'th', pattern: /\p{Script=Thai}/gu, others: [] },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu, others: ['fa', 'ur'] },
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu, others: [] },
+    { language: 'el', pattern: /\p{Script=Greek}/gu, others: [] },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu, others: ['uk', 'bg', 'sr', 'mk', 'be', 'kk'] }
+];
+
+// Latin-script languages told apart by how many of their stopwords a text uses
+const LATIN_LANGUAGES = ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'fi', 'pl', 'cs', 'tr', 'ro', 'hu', 'id'];
+
+// Languages written without spaces between words: phrases are joined without one
+const UNSPACED_LANGUAGES = ['ja', 'zh', 'th'];
+
+// stopword keys its lists by ISO 639-3 code
+const STOPWORD_LISTS = {
+    af: 'afr', ar: 'ara', bg: 'bul', bn: 'ben', ca: 'cat', cs: 'ces', da: 'dan', de: 'deu', el: 'ell',
+    en: 'eng', eo: 'epo', es: 'spa', et: 'est', eu: 'eus', fa: 'fas', fi: 'fin', fr: 'fra', ga: 'gle',
+    gl: 'glg', gu: 'guj', ha: 'hau', he: 'heb', hi: 'hin', hr: 'hrv', hu: 'hun', hy: 'hye', id: 'ind',
+    it: 'ita', ja: 'jpn', ko: 'kor', ku: 'kur', la: 'lat', lt: 'lit', lv: 'lav', mr: 'mar', ms: 'msa',
+    my: 'mya', nb: 'nob', nl: 'nld', no: 'nob', pl: 'pol', pt: 'por', ro: 'ron', ru: 'rus', sk: 'slk',
+    sl: 'slv', so: 'som', st: 'sot', sv: 'swe', sw: 'swa', th: 'tha', tl: 'tgl', tr: 'tur', uk: 'ukr',
+    ur: 'urd', vi: 'vie', yo: 'yor', zh: 'zho', zu: 'zul'
+};
+
+const STEMMERS = {
+    ar: 'arabic', ca: 'catalan', cs: 'czech', da: 'danish', de: 'german', en: 'english', es: 'spanish',
+    eu: 'basque', fi: 'finnish', fr: 'french', ga: 'irish', hu: 'hungarian', hy: 'armenian', it: 'italian',
+    nl: 'dutch', no: 'norwegian', nb: 'norwegian', pt: 'portuguese', ro: 'romanian', ru: 'russian',
+    sl: 'slovene', sv: 'swedish', ta: 'tamil', tr: 'turkish'
+};
+
+// Weight kept by terms found on every sampled page of a site (navigation, footer, ...)
+const BOILERPLATE_WEIGHT = 0.2;
+
+// A phrase has to occur this often on a page to count as one
+const MIN_PHRASE_COUNT = 2;
+
+function stopwordList(language) {
+    return stopword[STOPWORD_LISTS[language]] || [];
+}
+
+const ENGLISH_STOPWORDS = stopwordList('en');
+const stopwordSets = new Map();
+
+// The language's own stopwords plus English ones, as navigation and UI text
+// on non-English sites is often English
+function stopwordsFor(language) {
+    if (!stopwordSets.has(language)) {
+        stopwordSets.set(language, new Set([...stopwordList(language), ...ENGLISH_STOPWORDS]));
+    }
+    return stopwordSets.get(language);
+}
+
+/**
+ * Visible text of a page: the body without scripts, styles and templates,
+ * with a space between elements so words in adjacent elements stay apart.
+ *
+ * @param {string} html
+ */
+function extractText(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template, svg').remove();
+
+    const parts = [];
+    const walk = node => {
+        if (node.type === 'text') parts.push(node.data);
+        (node.children || []).forEach(walk);
+    };
+    $('body').each((_, body) => walk(body));
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Primary language subtag declared by `<html lang>`, or null.
+ *
+ * @param {string} html
+ */
+function declaredLanguage(html) {
+    const lang = cheerio.load(html)('html').attr('lang');
+    return lang && /^[a-z]{2,3}\b/i.test(lang.trim()) ? lang.trim().slice(0, 2).toLowerCase() : null;
+}
+
+function segmenterFor(language) {
+    return typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(language || undefined, { granularity: 'word' }) : null;
+}
+
+// Words of the text plus `null` wherever a phrase cannot continue (punctuation)
+function segment(text, language) {
+    const segmenter = segmenterFor(language);
+    if (!segmenter) {
+        // Runtimes without Intl.Segmenter: words are runs of letters and digits
+        return (text.match(/[\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}\s]+/gu) || [])
+            .map(part => (/^[\p{L}\p{M}\p{N}]/u.test(part) ? part : null));
+    }
+
+    const tokens = [];
+    for (const { segment: part, isWordLike } of segmenter.segment(text)) {
+        if (isWordLike) tokens.push(part);
+        else if (/\S/.test(part)) tokens.push(null);
+    }
+    return tokens;
+}
+
+function wordCount(tokens, words) {
+    return tokens.filter(token => token && words.has(token.toLowerCase())).length;
+}
+
+/**
+ * Language of a text as an ISO 639-1 code: from its script for scripts used
+ * by one main language, otherwise from the stopwords it uses. A declared
+ * language (`<html lang>`) is kept unless the text clearly is another one.
+ *
+ * @param {string} text
+ * @param {string|null} [declared]
+ */
+function detectLanguage(text, declared = null) {
+    const sample = text.slice(0, 5000);
+
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return declared || 'en';
+    for (const { language, pattern, others } of SCRIPT_LANGUAGES) {
+        const count = (sample.match(pattern) || []).length;
+        // Script-identified languages win once a fair share of letters is in that script
+        if (count / letters > 0.2) return others.includes(declared) ? declared : language;
+    }
+
+    const tokens = segment(sample, null);
+    const scores = LATIN_LANGUAGES.map(language => ({ language, score: wordCount(tokens, new Set(stopwordList(language))) }));
+    const best = scores.reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+
+    const declaredScore = scores.find(candidate => candidate.language === declared);
+    if (declared && (!declaredScore || declaredScore.score * 2 >= best.score)) return declared;
+    return best.score > 0 ? best.language : declared || 'en';
+}
+
+function isTerm(token, stopwordSet) {
+    if (!/\p{L}/u.test(token) || stopwordSet.has(token)) return false;
+    const length = Array.from(token).length;
+    // Latin words of one or two letters are mostly noise; in other scripts two characters carry meaning
+    const minLength = /^[\p{Script=Latin}\p{N}\p{P}]+$/u.test(token) ? 3 : 2;
+    return length >= minLength && length <= 30;
+}
+
+/**
+ * Count the terms of a text: Unicode-aware words without stopwords, plus
+ * two-word phrases that recur. With `stem`, inflections of a word count
+ * together under their most frequent form.
+ *
+ * @param {string} text
+ * @param {{ language?: string, stem?: boolean, phrases?: boolean }} [options]
+ * @returns {{ language: string, counts: Object<string, number> }}
+ */
+function extractTerms(text, { language = detectLanguage(text), stem = false, phrases = true } = {}) {
+    const stopwordSet = stopwordsFor(language);
+    const stemmer = stem && STEMMERS[language] ? snowball.newStemmer(STEMMERS[language]) : null;
+    const keyOf = word => (stemmer ? stemmer.stem(word) : word);
+    const separator = UNSPACED_LANGUAGES.includes(language) ? '' : ' ';
+
+    // Counted by key (the stem when stemming), shown as the most frequent form
+    const terms = new Map();
+    const phraseTerms = new Map();
+    const tally = (map, key, form) => {
+        if (!map.has(key)) map.set(key, { count: 0, forms: new Map() });
+        const term = map.get(key);
+        term.count++;
+        term.forms.set(form, (term.forms.get(form) || 0) + 1);
+    };
+
+    let previous = null;
+    segment(text, language).forEach(token => {
+        const word = token ? token.toLowerCase() : null;
+        if (!word || !isTerm(word, stopwordSet)) {
+            // Stopwords and punctuation end a phrase
+            previous = null;
+            return;
+        }
+        tally(terms, keyOf(word), word);
+        if (phrases && previous) {
+            tally(phraseTerms, `${keyOf(previous)} ${keyOf(word)}`, `${previous}${separator}${word}`);
+        }
+        previous = word;
+    });
+
+    const counts = {};
+    const display = ({ forms }) => Array.from(forms.entries()).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0][0];
+    terms.forEach(term => {
+        const form = display(term);
+        counts[form] = (counts[form] || 0) + term.count;
+    });
+    phraseTerms.forEach(phrase => {
+        if (phrase.count >= MIN_PHRASE_COUNT) counts[display(phrase)] = phrase.count;
+    });
+
+    return { language, counts };
+}
+
+/**
+ * Terms found on every one of a site's sampled pages: navigation, footer
+ * and other template text rather than page content. Needs two or more pages.
+ *
+ * @param {Array<Object<string, number>>} pageCounts Term counts per page
+ * @returns {string[]}
+ */
+function findBoilerplateTerms(pageCounts) {
+    if (pageCounts.length < 2) return [];
+    const [first, ...rest] = pageCounts;
+    return Object.keys(first).filter(term => rest.every(counts => counts[term]));
+}
+
+/**
+ * Scale down the counts of boilerplate terms so real content stands out.
+ *
+ * @param {Object<string, number>} counts
+ * @param {string[]} boilerplateTerms
+ */
+function downweightTerms(counts, boilerplateTerms, weight = BOILERPLATE_WEIGHT) {
+    const boilerplate = new Set(boilerplateTerms);
+    const weighted = {};
+    Object.keys(counts).forEach(term => {
+        weighted[term] = boilerplate.has(term) ? counts[term] * weight : counts[term];
+    });
+    return weighted;
+}
+
+module.exports = {
+    BOILERPLATE_WEIGHT,
+    extractText,
+    declaredLanguage,
+    detectLanguage,
+    extractTerms,
+    findBoilerplateTerms,
+    downweightTerms
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const opentype = require('opentype.js');
+const { Resvg } = require('@resvg/resvg-js');
+
+// Bundled so the PNG looks the same on every machine, with or without system fonts
+const FONT_FILE = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+const FONT_FAMILY = 'DejaVu Sans';
+
+const COLORS = {
+    seenByGoogle: '#4CAF50',
+    javascriptOnly: '#808080'
+};
+
+const LEGEND_HEIGHT = 32;
+
+const DEFAULT_OPTIONS = {
+    width: 600,
+    height: 400,
+    seed: 1,
+    legend: false,
+    maxWords: 150,
+    minFontSize: 10,
+    maxFontSize: 56,
+    padding: 2,
+    background: '#ffffff',
+    // Extra TrueType/OpenType files (e.g. Noto Sans JP) for scripts the bundled font does not cover
+    fonts: []
+};
+
+// Characters of these scripts take about a full em when no loaded font has them
+const WIDE_CHARACTERS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+const fonts = new Map();
+function loadFont(file = FONT_FILE) {
+    if (!fonts.has(file)) {
+        const buffer = fs.readFileSync(file);
+        fonts.set(file, opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)));
+    }
+    return fonts.get(file);
+}
+
+// The bundled font, then any extra fonts for scripts it does not cover
+function loadFonts(extraFonts = []) {
+    return [loadFont(), ...extraFonts.map(file => loadFont(file))];
+}
+
+function fontWithGlyph(char, loaded) {
+    return loaded.find(candidate => candidate.charToGlyph(char).index !== 0) || null;
+}
+
+// Summed glyph advances, without shaping: plenty for placing words on a canvas
+function measureText(text, fontSize, loaded = loadFonts()) {
+    const primary = loaded[0];
+    let ems = 0;
+    for (const char of text) {
+        const font = fontWithGlyph(char, loaded);
+        ems += font ? font.charToGlyph(char).advanceWidth / font.unitsPerEm : (WIDE_CHARACTERS.test(char) ? 1 : 0.6);
+    }
+    return {
+        width: ems * fontSize,
+        ascent: (primary.ascender / primary.unitsPerEm) * fontSize,
+        descent: (-primary.descender / primary.unitsPerEm) * fontSize
+    };
+}
+
+// mulberry32: tiny seeded PRNG, so the same seed always gives the same layout
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function overlaps(a, b, padding) {
+    return a.x < b.x + b.width + padding && b.x < a.x + a.width + padding &&
+        a.y < b.y + b.height + padding && b.y < a.y + a.height + padding;
+}
+
+/**
+ * Place words on the canvas, biggest first, each walking out along an
+ * Archimedean spiral from the centre until it fits. Words that do not fit
+ * are retried smaller and dropped if they still do not fit.
+ *
+ * @param {Array<{ word: string, weight: number, color: string }>} words
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ * @returns {Array<{ word: string, color: string, fontSize: number, x: number, y: number, width: number, height: number, baseline: number }>}
+ */
+function layoutWordCloud(words, options = {}) {
+    const { width, height, seed, maxWords, minFontSize, maxFontSize, padding, fonts: extraFonts } = { ...DEFAULT_OPTIONS, ...options };
+    const random = createRandom(seed);
+    const loaded = loadFonts(extraFonts);
+
+    // Sort fully (weight, then word) so input order never changes the result
+    const sorted = words
+        .filter(item => item.word && item.weight > 0)
+        .sort((a, b) => b.weight - a.weight || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0))
+        .slice(0, maxWords);
+    if (sorted.length === 0) return [];
+
+    const maxWeight = sorted[0].weight;
+    const minWeight = sorted[sorted.length - 1].weight;
+    const scale = weight => maxWeight === minWeight
+        ? (minFontSize + maxFontSize) / 2
+        : minFontSize + (maxFontSize - minFontSize) * Math.sqrt((weight - minWeight) / (maxWeight - minWeight));
+
+    const placed = [];
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const aspect = height / width;
+
+    sorted.forEach(item => {
+        const phase = random() * Math.PI * 2;
+
+        for (let fontSize = scale(item.weight); fontSize >= minFontSize; fontSize *= 0.8) {
+            const metrics = measureText(item.word, fontSize, loaded);
+            const box = { width: metrics.width, height: metrics.ascent + metrics.descent };
+            if (box.width > width || box.height > height) continue;
+
+            const maxRadius = Math.hypot(width, height) / 2;
+            for (let t = 0; t * 2 < maxRadius; t += 0.2) {
+                const x = centerX + t * 2 * Math.cos(t + phase) - box.width / 2;
+                const y = centerY + t * 2 * aspect * Math.sin(t + phase) - box.height / 2;
+                const candidate = { x, y, width: box.width, height: box.height };
+
+                if (x < 0 || y < 0 || x + box.width > width || y + box.height > height) continue;
+                if (placed.some(other => overlaps(candidate, other, padding))) continue;
+
+                placed.push({
+                    word: item.word,
+                    color: item.color,
+                    fontSize,
+                    ...candidate,
+                    baseline: y + metrics.ascent
+                });
+                return;
+            }
+        }
+    });
+
+    return placed;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' })[char]);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function legendSvg(width, top) {
+    const entries = [
+        { color: COLORS.seenByGoogle, label: 'Seen by Google' },
+        { color: COLORS.javascriptOnly, label: 'Only visible with JavaScript' }
+    ];
+    let x = 12;
+    const items = entries.map(entry => {
+        const item = `<rect x="${x}" y="${top + 10}" width="12" height="12" fill="${entry.color}"/>` +
+            `<text x="${x + 18}" y="${top + 21}" font-size="12" fill="#333333">${escapeXml(entry.label)}</text>`;
+        x += 18 + measureText(entry.label, 12).width + 24;
+        return item;
+    });
+    return `<g class="legend">${items.join('')}</g>`;
+}
+
+/**
+ * Render the word cloud as a standalone SVG document.
+ *
+ * @param {Array<{ word: string, weight: number, color: string }>} words
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ */
+function renderWordCloudSvg(words, options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    const { width, height, legend, background } = resolved;
+    const totalHeight = legend ? height + LEGEND_HEIGHT : height;
+
+    const texts = layoutWordCloud(words, resolved).map(item =>
+        `<text x="${round(item.x)}" y="${round(item.baseline)}" font-size="${round(item.fontSize)}" fill="${item.color}">${escapeXml(item.word)}</text>`);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${FONT_FAMILY}, Arial, sans-serif" font-weight="bold">`,
+        `<rect width="${width}" height="${totalHeight}" fill="${background}"/>`,
+        ...texts,
+        legend ? legendSvg(width, height) : '',
+        '</svg>'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render the word cloud as a PNG, rasterising the SVG with the bundled font
+ * and any extra `fonts`. No browser and no network are involved.
+ *
+ * System fonts are only loaded when words use characters none of those
+ * fonts have, e.g. Japanese without a CJK font in `fonts`. The image then
+ * depends on the fonts installed on the machine.
+ *
+ * @returns {Buffer}
+ */
+function renderWordCloudPng(words, options = {}) {
+    const extraFonts = options.fonts || [];
+    const loaded = loadFonts(extraFonts);
+    const missingGlyphs = words.some(item => Array.from(item.word).some(char => !fontWithGlyph(char, loaded)));
+
+    const svg = renderWordCloudSvg(words, options);
+    const resvg = new Resvg(svg, {
+        font: {
+            loadSystemFonts: missingGlyphs,
+            fontFiles: [FONT_FILE, ...extraFonts],
+            defaultFontFamily: FONT_FAMILY
+        }
+    });
+    return resvg.render().asPng();
+}
+
+module.exports = {
+    COLORS,
+    DEFAULT_OPTIONS,
+    layoutWordCloud,
+    renderWordCloudSvg,
+    renderWordCloudPng
+};
@@ -0,0 +1,159 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { createContext, analyzeUrl, analyzeSite, detectFramework, renderEmail, ERROR_CATEGORIES } = require('..');
+const { serveFixture } = require('./helpers/fixture-server');
+const sites = require('./fixtures/sites');
+
+// Sandboxing needs privileges test containers usually lack
+const OPTIONS = { waitMs: 0, pagesPerSite: 10, pagesPerTemplate: 10, launchOptions: { args: ['--no-sandbox'] } };
+
+async function canLaunchBrowser() {
+    try {
+        const browser = await puppeteer.launch(OPTIONS.launchOptions);
+        await browser.close();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('library API', () => {
+    const servers = {};
+    let context = null;
+
+    before(async () => {
+        if (!await canLaunchBrowser()) return;
+        context = createContext(OPTIONS);
+        for (const name of ['csrReact', 'nextSsr', 'noSitemap', 'broken', 'dynamicRendering', 'endlessFeed']) {
+            servers[name] = await serveFixture(sites[name]);
+        }
+    });
+
+    after(async () => {
+        if (context) await context.browserPool.close();
+        await Promise.all(Object.values(servers).map(server => server.close()));
+    });
+
+    // Skipped rather than failed where Chromium cannot run
+    const browserTest = (name, fn) => test(name, async t => {
+        if (!context) {
+            t.skip('Chromium cannot be launched, set PUPPETEER_EXECUTABLE_PATH to use another build');
+            return;
+        }
+        await fn();
+    });
+
+    browserTest('detects a client-rendered React app', async () => {
+        const fingerprint = await detectFramework(`${servers.csrReact.url}/`, { context });
+
+        assert.equal(fingerprint.name, 'Create React App');
+        assert.equal(fingerprint.isReact, true);
+    });
+
+    browserTest('detects a server-rendered Next.js site', async () => {
+        const fingerprint = await detectFramework(`${servers.nextSsr.url}/`, { context });
+
+        assert.equal(fingerprint.name, 'Next.js (pages router)');
+        assert.equal(fingerprint.version, '13.4.19');
+    });
+
+    browserTest('measures no server-side content on a client-rendered page', async () => {
+        const page = await analyzeUrl(`${servers.csrReact.url}/products/1`, { context });
+
+        assert.equal(page.ssrPercentage, '0.00');
+        assert.equal(page.pageTitle, 'Furniture');
+        assert.deepEqual(page.coverage.missingHeadings.map(block => block.text), [sites.PRODUCTS[1].name]);
+    });
+
+    browserTest('measures the content a server-rendered page loads after hydration', async () => {
+        const page = await analyzeUrl(`${servers.nextSsr.url}/posts/hello-world`, { context });
+
+        assert.equal(page.ssrPercentage, '80.95');
+        assert.deepEqual(page.coverage.missingBlocks.map(block => block.text), ['3 comments from readers']);
+    });
+
+    browserTest('analyses a site from its sitemap and renders its email', async () => {
+        const site = await analyzeSite(servers.nextSsr.url, { context });
+
+        assert.equal(site.status, 'done');
+        assert.deepEqual(site.records.map(record => record.analyzedUrl).sort(), [
+            `${servers.nextSsr.url}/`,
+            `${servers.nextSsr.url}/posts/hello-world`,
+            `${servers.nextSsr.url}/posts/second-post`
+        ]);
+        assert.ok(site.records.every(record => record.framework === 'Next.js (pages router)'));
+
+        const email = renderEmail(site.email, { wordCloud: { format: 'svg' } });
+        assert.match(email.html, /<svg/);
+    });
+
+    browserTest('skips a site without a JavaScript framework', async () => {
+        const site = await analyzeSite(servers.noSitemap.url, { context });
+
+        assert.equal(site.status, 'skipped');
+        assert.equal(site.records[0].framework, 'None');
+    });
+
+    browserTest('keeps the results of the pages that work, reporting progress', async () => {
+        const started = [];
+        const finished = [];
+        const site = await analyzeSite(servers.broken.url, {
+            ...OPTIONS,
+            onPageStart: page => started.push(page.url),
+            onPageResult: page => finished.push(page)
+        });
+
+        assert.equal(site.status, 'done');
+        const byPath = path => site.records.find(record => record.analyzedUrl === `${servers.broken.url}${path}`);
+        assert.equal(byPath('/products/1').ssrPercentage, '0.00');
+        assert.equal(byPath('/products/1').errorCategory, '');
+        assert.equal(byPath('/challenge').errorCategory, ERROR_CATEGORIES.BOT_PROTECTION);
+        assert.equal(byPath('/error').errorCategory, ERROR_CATEGORIES.HTTP_STATUS);
+        assert.equal(byPath('/error').ssrPercentage, 'Error');
+
+        assert.equal(started.length, site.records.length);
+        assert.deepEqual(finished.filter(page => page.error).map(page => page.error.category).sort(), [ERROR_CATEGORIES.BOT_PROTECTION, ERROR_CATEGORIES.HTTP_STATUS]);
+    });
+
+    browserTest('classifies what the crawler gets when capturing as Googlebot', async () => {
+        // Browsers get the app, crawlers a challenge or an error
+        const forCrawlers = answer => baseUrl => {
+            const routes = sites.csrReact(baseUrl);
+            const shell = routes['/'];
+            return { ...routes, '/': request => (/Googlebot/.test(request.headers['user-agent']) ? answer : shell) };
+        };
+        const challenged = await serveFixture(forCrawlers({ status: 403, headers: { 'cf-mitigated': 'challenge' }, body: '<title>Just a moment...</title>' }));
+        const failing = await serveFixture(forCrawlers({ status: 503, body: '<h1>Maintenance</h1>' }));
+        try {
+            const options = { ...OPTIONS, captureMode: 'googlebot' };
+            await assert.rejects(analyzeUrl(`${challenged.url}/`, options), { category: ERROR_CATEGORIES.BOT_PROTECTION, status: 403 });
+            await assert.rejects(analyzeUrl(`${failing.url}/`, options), { category: ERROR_CATEGORIES.HTTP_STATUS, status: 503 });
+        } finally {
+            await Promise.all([challenged.close(), failing.close()]);
+        }
+    });
+
+    browserTest('stops interacting with a page that never settles before it times out', async () => {
+        const page = await analyzeUrl(`${servers.endlessFeed.url}/`, { ...OPTIONS, interact: true, pageTimeout: 12 * 1000 });
+
+        assert.equal(page.interaction.timedOut, true);
+        assert.ok(page.interaction.scrolls > 0);
+        assert.match(page.finalHtml, /Story 6/);
+    });
+
+    browserTest('compares the content rendered for each device and crawler', async () => {
+        const page = await analyzeUrl(`${servers.dynamicRendering.url}/`, {
+            ...OPTIONS,
+            devices: ['mobile', 'googlebot-smartphone', 'desktop']
+        });
+
+        assert.equal(page.device, 'mobile');
+        assert.equal(page.ssrPercentage, '0.00');
+        const byDevice = name => page.devices.find(difference => difference.device === name);
+        assert.equal(byDevice('googlebot-smartphone').ssrPercentage, '100.00');
+        assert.deepEqual(byDevice('googlebot-smartphone').onlyHere, []);
+        assert.equal(byDevice('desktop').ssrPercentage, '0.00');
+        assert.deepEqual(byDevice('desktop').onlyHere.map(block => block.text), ['Visit our showroom in Utrecht for a free design consultation.']);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { createBrowserPool, mapWithConcurrency } = require('../lib/browser-pool');
+const { serveFixture } = require('./helpers/fixture-server');
+const sites = require('./fixtures/sites');
+
+// Sandboxing needs privileges test containers usually lack
+const LAUNCH_OPTIONS = { args: ['--no-sandbox'] };
+
+test('maps with limited concurrency, keeping the input order', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, index) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(mostRunning, 2);
+});
+
+describe('browser pool', () => {
+    let pool = null;
+    let server = null;
+
+    before(async () => {
+        try {
+            const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+            await browser.close();
+        } catch (error) {
+            return;
+        }
+        pool = createBrowserPool({ maxPages: 4, pageTimeout: 1500, launchOptions: LAUNCH_OPTIONS });
+        server = await serveFixture(sites.noSitemap);
+    });
+
+    after(async () => {
+        if (pool) await pool.close();
+        if (server) await server.close();
+    });
+
+    test('waiting for a host\'s rate limit does not count toward the page timeout', async t => {
+        if (!pool) {
+            t.skip('Chromium cannot be launched, set PUPPETEER_EXECUTABLE_PATH to use another build');
+            return;
+        }
+
+        // One request per second to a host: the third page waits two seconds before it may navigate
+        const url = `${server.url}/`;
+        const titles = await Promise.all([1, 2, 3].map(() => pool.withPage(async page => {
+            await page.goto(url, { waitUntil: 'domcontentloaded' });
+            return page.title();
+        }, { url })));
+
+        assert.deepEqual(titles, ['Home', 'Home', 'Home']);
+    });
+});
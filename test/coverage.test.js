@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRenders } = require('../lib/analyzer');
+const sites = require('./fixtures/sites');
+
+const BASE_URL = 'http://127.0.0.1:8080';
+
+test('a client-rendered page has no content without JavaScript', () => {
+    const initialHtml = sites.csrReact(BASE_URL)['/'];
+    const finalHtml = initialHtml.replace('<div id="root"></div>', `<div id="root">${sites.csrContent('/')}</div>`);
+
+    const { ssrPercentage, coverage, seoParity } = compareRenders(initialHtml, finalHtml, `${BASE_URL}/`);
+
+    assert.equal(ssrPercentage, '0.00');
+    assert.deepEqual(coverage.totals, { blocks: 4, missingBlocks: 4, links: 2, missingLinks: 2 });
+    assert.deepEqual(coverage.missingHeadings.map(block => block.text), ['Furniture made to last']);
+    assert.deepEqual(seoParity.atRisk, ['headings', 'internalLinks']);
+});
+
+test('a server-rendered page only misses what is loaded after hydration', () => {
+    const initialHtml = sites.nextSsr(BASE_URL)['/posts/hello-world'];
+    const finalHtml = initialHtml.replace('<p id="comments"></p>', '<p id="comments">3 comments from readers</p>');
+
+    const { ssrPercentage, coverage, seoParity } = compareRenders(initialHtml, finalHtml, `${BASE_URL}/posts/hello-world`);
+
+    assert.equal(ssrPercentage, '80.95');
+    assert.deepEqual(coverage.missingBlocks.map(block => block.text), ['3 comments from readers']);
+    assert.equal(coverage.totals.missingLinks, 0);
+    assert.deepEqual(seoParity.atRisk, []);
+});
+
+test('identical renders are fully server-side', () => {
+    const html = sites.nextSsr(BASE_URL)['/'];
+
+    const { ssrPercentage, coverage } = compareRenders(html, html, `${BASE_URL}/`);
+
+    assert.equal(ssrPercentage, '100.00');
+    assert.equal(coverage.totals.missingBlocks, 0);
+});
+
+test('a short block only counts as present as whole words', () => {
+    const initialHtml = '<html><body><main><p>Priceless antiques from the attic</p><p>胡桃木书桌有两个抽屉</p></main></body></html>';
+    const finalHtml = '<html><body><main><p>Priceless antiques from the attic</p><p>胡桃木书桌有两个抽屉</p><p>Price</p><p>Antiques</p><p>书桌</p></main></body></html>';
+
+    const { coverage } = compareRenders(initialHtml, finalHtml, `${BASE_URL}/`);
+
+    assert.deepEqual(coverage.missingBlocks.map(block => block.text), ['Price']);
+});
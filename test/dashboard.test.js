@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { renderDashboard, coverageDistribution, frameworkBreakdown } = require('../lib/dashboard');
+
+const COLUMNS = [{ id: 'analyzedUrl', title: 'Analyzed URL' }, { id: 'ssrPercentage', title: 'SSR %' }];
+const GENERATED_AT = '2026-01-01T00:00:00.000Z';
+
+function site(baseUrl, framework, percentages, extra = {}) {
+    return {
+        baseUrl,
+        status: 'done',
+        records: percentages.map((ssrPercentage, index) => ({ analyzedUrl: `${baseUrl}/${index}`, framework, frameworkConfidence: 'high', ssrPercentage })),
+        ...extra
+    };
+}
+
+const SITES = [
+    site('https://shop.test', 'Next.js', ['0.00', '9.99', '10.00', '55.50']),
+    site('https://blog.test', 'Next.js', ['100.00']),
+    site('https://app.test', 'React', ['42.00', 'N/A']),
+    { baseUrl: 'https://down.test', status: 'failed', error: 'Navigation timeout', errorCategory: 'timeout', records: [{ analyzedUrl: 'https://down.test', ssrPercentage: 'N/A' }] },
+    { baseUrl: 'https://static.test', status: 'skipped', records: [] }
+];
+
+test('counts pages per ten-point coverage bucket, 100% in the last one', () => {
+    const buckets = coverageDistribution(SITES);
+
+    assert.equal(buckets.length, 10);
+    assert.equal(buckets[0].label, '0-10');
+    assert.equal(buckets[9].label, '90-100');
+    assert.deepEqual(buckets.map(bucket => bucket.value), [2, 1, 0, 0, 1, 1, 0, 0, 0, 1]);
+});
+
+test('counts sites per framework, most common first', () => {
+    assert.deepEqual(frameworkBreakdown(SITES), [
+        { label: 'Next.js', value: 2 },
+        { label: 'Failed', value: 1 },
+        { label: 'React', value: 1 },
+        { label: 'Unknown', value: 1 }
+    ]);
+});
+
+test('renders the overview and a drill-down section per site', () => {
+    const $ = cheerio.load(renderDashboard(SITES, { columns: COLUMNS, generatedAt: GENERATED_AT }));
+
+    assert.equal($('header p').text(), `5 site(s), generated ${GENERATED_AT}`);
+    assert.equal($('.counts').text(), '3 analyzed1 skipped (no framework)1 failed');
+    assert.deepEqual($('#overview tbody tr td:first-child a').map((_, el) => $(el).attr('href')).get(),
+        ['#site-1', '#site-2', '#site-3', '#site-4', '#site-5']);
+    assert.deepEqual($('#overview tbody tr').eq(0).find('td.number').map((_, el) => $(el).text()).get(), ['4', '0.00', '18.87']);
+    assert.equal($('#overview tbody tr').eq(3).find('td.error').text(), 'timeout: Navigation timeout');
+    assert.equal($('section.site').length, 5);
+    assert.equal($('#site-1 h3').length, 4);
+    assert.equal($('#site-4 h3').length, 0);
+});
+
+test('escapes scraped titles, URLs and text in the drill-down', () => {
+    const url = 'https://shop.test/"><script>alert(1)</script>';
+    const hostile = site('https://shop.test', 'Next.js', ['20.00'], {
+        email: { pageUrl: url, pageTitle: '<img src=x onerror=alert(2)>', userWordCounts: { walnut: 3, desk: 2 }, googleWordCounts: { desk: 2 }, unreadablePercentage: '80.00' },
+        pages: [{ url, missingBlocks: [{ type: 'paragraph', text: '<b onclick="x()">Only with JS</b>' }] }]
+    });
+    hostile.records[0].analyzedUrl = url;
+
+    const html = renderDashboard([hostile], { columns: COLUMNS, generatedAt: GENERATED_AT });
+    const $ = cheerio.load(html);
+
+    assert.equal($('script').length, 1);
+    assert.equal($('img[onerror], b[onclick]').length, 0);
+    assert.equal($('#site-1 h3').first().text(), 'Word cloud: <img src=x onerror=alert(2)>');
+    assert.equal($('#site-1 h3 a').attr('href'), url);
+    assert.equal($('#site-1 h3 a').text(), url);
+    assert.equal($('#site-1 .missing li').text(), 'paragraph<b onclick="x()">Only with JS</b>');
+    assert.equal($('#site-1 dl.columns dd').last().text(), '20.00');
+});
+
+test('renders an empty run with empty charts and no site sections', () => {
+    const $ = cheerio.load(renderDashboard([], { columns: COLUMNS, generatedAt: GENERATED_AT }));
+
+    assert.deepEqual(coverageDistribution([]).map(bucket => bucket.value), new Array(10).fill(0));
+    assert.deepEqual(frameworkBreakdown([]), []);
+    assert.equal($('header p').text(), `0 site(s), generated ${GENERATED_AT}`);
+    assert.equal($('.counts').text(), '0 analyzed0 skipped (no framework)0 failed');
+    assert.equal($('#overview tbody tr').length, 0);
+    assert.equal($('section.site').length, 0);
+    assert.equal($('svg').length, 2);
+});
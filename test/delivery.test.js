@@ -0,0 +1,149 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DELIVERY_STATUS, createSuppressionList, createSendLog, createMailer } = require('../lib/delivery');
+const { serveSmtp } = require('./helpers/smtp-server');
+
+const FROM = { name: 'Finding SSR', address: 'audit@finding-ssr.test' };
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+function rendered(site) {
+    return {
+        subject: `Server-side rendering on ${site}`,
+        html: '<p>Your word cloud:</p><img src="cid:wordcloud@finding-ssr" alt="Word cloud">',
+        text: 'Your word cloud is attached.',
+        attachments: [{ filename: 'word-cloud.png', content: PIXEL, cid: 'wordcloud@finding-ssr' }]
+    };
+}
+
+function email(site, fields = {}) {
+    return { siteUrl: site, campaign: 'spring', from: FROM, to: `owner@${new URL(site).hostname}`, unsubscribe: 'mailto:unsubscribe@finding-ssr.test', rendered: rendered(site), ...fields };
+}
+
+describe('email delivery', () => {
+    let smtp = null;
+    let dir = null;
+
+    before(async () => {
+        smtp = await serveSmtp();
+    });
+
+    after(() => smtp.close());
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finding-ssr-delivery-'));
+        smtp.messages.length = 0;
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const mailer = (options = {}) => createMailer({
+        transport: nodemailer.createTransport({ host: '127.0.0.1', port: smtp.port, ignoreTLS: true }),
+        sendLog: createSendLog(path.join(dir, 'sent.ndjson')),
+        suppressions: createSuppressionList(path.join(dir, 'suppressions.txt')),
+        ...options
+    });
+
+    test('suppressing a domain covers its subdomains and addresses', async () => {
+        fs.writeFileSync(path.join(dir, 'suppressions.txt'), '# Asked not to be contacted\nshop.test\nowner@other.test\n');
+        const suppressions = createSuppressionList(path.join(dir, 'suppressions.txt'));
+
+        assert.equal(suppressions.match('https://www.shop.test/', null), 'shop.test');
+        assert.equal(suppressions.match('https://eu.shop.test/', 'ceo@elsewhere.test'), 'shop.test');
+        assert.equal(suppressions.match('https://other.test/', 'owner@other.test'), 'owner@other.test');
+        assert.equal(suppressions.match('https://myshop.test/', 'owner@myshop.test'), null);
+
+        const delivery = mailer({ suppressions });
+        const entry = await delivery.deliver(email('https://eu.shop.test/'));
+        delivery.close();
+
+        assert.equal(entry.status, DELIVERY_STATUS.SUPPRESSED);
+        assert.equal(entry.reason, 'suppressed: shop.test');
+        assert.equal(smtp.messages.length, 0);
+    });
+
+    test('sends one email per site and campaign', async () => {
+        const delivery = mailer();
+        const first = await delivery.deliver(email('https://shop.test/'));
+        const again = await delivery.deliver(email('https://shop.test/'));
+        const nextCampaign = await delivery.deliver(email('https://shop.test/', { campaign: 'autumn' }));
+        delivery.close();
+
+        assert.equal(first.status, DELIVERY_STATUS.SENT);
+        assert.equal(again.status, DELIVERY_STATUS.SKIPPED);
+        assert.equal(again.reason, 'already sent for this campaign');
+        assert.equal(nextCampaign.status, DELIVERY_STATUS.SENT);
+        assert.deepEqual(smtp.messages.map(message => message.to), [['owner@shop.test'], ['owner@shop.test']]);
+        assert.equal(smtp.messages[0].from, FROM.address);
+    });
+
+    test('stops at the daily cap, counting what was sent earlier today', async () => {
+        const sendLog = createSendLog(path.join(dir, 'sent.ndjson'));
+        sendLog.append({ site: 'https://earlier.test/', campaign: 'spring', status: DELIVERY_STATUS.SENT });
+
+        const delivery = mailer({ sendLog, dailyCap: 2 });
+        const statuses = [];
+        for (const site of ['https://one.test/', 'https://two.test/']) {
+            statuses.push((await delivery.deliver(email(site))).status);
+        }
+        const capped = await delivery.deliver(email('https://three.test/'));
+        delivery.close();
+
+        assert.deepEqual(statuses, [DELIVERY_STATUS.SENT, DELIVERY_STATUS.SKIPPED]);
+        assert.equal(capped.reason, 'daily cap of 2 reached');
+        assert.equal(smtp.messages.length, 1);
+    });
+
+    test('a dry run checks and writes everything but sends nothing', async () => {
+        const delivery = mailer({ dryRun: true, dailyCap: 1, emlDir: path.join(dir, 'eml') });
+        const dry = await delivery.deliver(email('https://shop.test/'));
+        const capped = await delivery.deliver(email('https://other.test/'));
+        delivery.close();
+
+        assert.equal(delivery.sending, true);
+        assert.equal(dry.status, DELIVERY_STATUS.DRY_RUN);
+        assert.ok(fs.existsSync(dry.eml));
+        assert.equal(capped.status, DELIVERY_STATUS.SKIPPED);
+        assert.equal(smtp.messages.length, 0);
+    });
+
+    test('writes .eml files with the images embedded by CID and an unsubscribe header', async () => {
+        const delivery = createMailer({
+            emlDir: path.join(dir, 'eml'),
+            sendLog: createSendLog(path.join(dir, 'sent.ndjson')),
+            suppressions: createSuppressionList(path.join(dir, 'suppressions.txt'))
+        });
+        const entry = await delivery.deliver(email('https://shop.test/'));
+        const eml = fs.readFileSync(entry.eml, 'utf8');
+
+        assert.equal(delivery.sending, false);
+        assert.equal(entry.status, DELIVERY_STATUS.WRITTEN);
+        assert.match(eml, /^List-Unsubscribe: <mailto:unsubscribe@finding-ssr\.test>$/m);
+        assert.match(eml, /Content-Type: multipart\/related/);
+        assert.match(eml, /Content-Type: multipart\/alternative/);
+        assert.match(eml, /Content-Type: text\/plain/);
+        assert.match(eml, /^Content-ID: <wordcloud@finding-ssr>$/m);
+        // The HTML part is quoted-printable
+        assert.match(eml, /<img src=3D"cid:wordcloud@finding-ssr"/);
+    });
+
+    test('logs every attempt as NDJSON, read back by the next run', async () => {
+        const delivery = mailer();
+        await delivery.deliver(email('https://shop.test/'));
+        await delivery.deliver(email('https://shop.test/'));
+        delivery.close();
+
+        const lines = fs.readFileSync(path.join(dir, 'sent.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(line => line.status), [DELIVERY_STATUS.SENT, DELIVERY_STATUS.SKIPPED]);
+        assert.equal(lines[0].site, 'https://shop.test/');
+        assert.equal(lines[0].campaign, 'spring');
+        assert.equal(lines[0].to, 'owner@shop.test');
+        assert.ok(lines[0].messageId);
+        assert.ok(!isNaN(Date.parse(lines[0].at)));
+
+        assert.equal(createSendLog(path.join(dir, 'sent.ndjson')).wasSent('https://shop.test/', 'spring'), true);
+    });
+});
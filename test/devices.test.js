@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEVICES, compareDevices, deviceColumns, deviceHeaders } = require('../lib/devices');
+
+const page = main => `<html><body><main>${main}</main></body></html>`;
+
+test('every profile has a viewport and a user agent', () => {
+    Object.values(DEVICES).forEach(device => {
+        assert.ok(device.viewport.width > 0 && device.viewport.height > 0, device.label);
+        assert.match(device.userAgent, /^Mozilla\/5\.0 /, device.label);
+    });
+    assert.match(DEVICES['googlebot-smartphone'].userAgent, /Googlebot\/2\.1/);
+    assert.match(DEVICES.bingbot.userAgent, /bingbot\/2\.0/);
+});
+
+test('compares the rendered content of each profile with the main one', () => {
+    const differences = compareDevices('mobile', {
+        mobile: { ssrPercentage: '0.00', finalHtml: page('<h1>Furniture made to last</h1><p>Handmade tables and desks.</p>') },
+        desktop: { ssrPercentage: '0.00', finalHtml: page('<h1>Furniture made to last</h1><p>Handmade tables and desks.</p><p>Visit our showroom in Utrecht.</p>') },
+        'googlebot-smartphone': { ssrPercentage: '100.00', finalHtml: page('<h1>Furniture made to last</h1><p>Handmade tables and desks.</p>') },
+        bingbot: { error: { category: 'bot-protection', message: 'Blocked' } }
+    });
+
+    assert.deepEqual(differences.map(difference => difference.device), ['desktop', 'googlebot-smartphone', 'bingbot']);
+    assert.deepEqual(differences[0].onlyHere.map(block => block.text), ['Visit our showroom in Utrecht.']);
+    assert.deepEqual(differences[0].onlyMain, []);
+    assert.deepEqual(differences[1].onlyHere, []);
+    assert.equal(differences[2].error.category, 'bot-protection');
+
+    const columns = deviceColumns('mobile', '0.00', differences);
+    assert.equal(columns.ssr_mobile, '0.00');
+    assert.equal(columns['ssr_googlebot-smartphone'], '100.00');
+    assert.equal(columns.ssr_bingbot, 'Error');
+    assert.equal(columns.ssr_tablet, 'N/A');
+    assert.equal(columns.deviceDifferences, 'Desktop: 1 only on Desktop | Bingbot: failed (bot-protection)');
+});
+
+test('has a column per profile, N/A for pages that were not analysed', () => {
+    const columns = deviceColumns(null);
+
+    assert.deepEqual(Object.keys(columns), deviceHeaders().map(header => header.id));
+    assert.ok(Object.values(columns).every(value => value === 'N/A'));
+});
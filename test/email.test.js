@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderEmail, WORD_CLOUD_CID } = require('../lib/email');
+const { htmlToText } = require('../lib/templates');
+
+// Scraped values as a hostile page could make them
+const EMAIL_DATA = {
+    baseUrl: 'https://shop.test',
+    pageUrl: 'https://shop.test/products/1',
+    pageTitle: 'Desks <script>alert("title")</script>',
+    unreadablePercentage: '62.50',
+    framework: 'Create React App',
+    frameworkVersion: null,
+    library: 'React',
+    missingHeadings: ['<img src=x onerror=alert(1)>', 'Free delivery & returns'],
+    language: 'en',
+    userWordCounts: { walnut: 4, desk: 3 },
+    googleWordCounts: { desk: 1 },
+    seoParity: null,
+    screenshots: null
+};
+
+test('escapes scraped values in the HTML', () => {
+    const { html, subject } = renderEmail(EMAIL_DATA, { wordCloud: { format: 'svg' } });
+
+    assert.doesNotMatch(html, /<script>alert/);
+    assert.doesNotMatch(html, /<img src=x/);
+    assert.match(html, /Desks &lt;script&gt;alert\(&quot;title&quot;\)&lt;\/script&gt;/);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.match(html, /Free delivery &amp; returns/);
+    assert.match(html, /<svg role="img" aria-label="SEO improvement word cloud/);
+    assert.equal(subject, 'Potential SEO Improvements for Your Website');
+});
+
+test('has a plain-text alternative with the values as they are', () => {
+    const { text } = renderEmail(EMAIL_DATA, { wordCloud: { format: 'svg' } });
+
+    assert.doesNotMatch(text, /<(p|div|svg|ul|li)\b/);
+    assert.match(text, /Desks <script>alert\("title"\)<\/script>/);
+    assert.match(text, /^- Free delivery & returns$/m);
+    assert.match(text, /62\.50%/);
+});
+
+test('attaches the word cloud for CID embedding', () => {
+    const { html, attachments } = renderEmail(EMAIL_DATA, { wordCloud: { format: 'cid' } });
+
+    assert.match(html, new RegExp(`<img src="cid:${WORD_CLOUD_CID}"`));
+    assert.equal(attachments.length, 1);
+    assert.equal(attachments[0].cid, WORD_CLOUD_CID);
+    assert.equal(attachments[0].content.subarray(1, 4).toString(), 'PNG');
+});
+
+test('turns HTML into readable text', () => {
+    const text = htmlToText('<p>Read <a href="https://shop.test/help">our guide</a></p><ul><li>One</li><li>Two</li></ul><img src="x.png" alt="Chart">');
+
+    assert.equal(text, 'Read our guide (https://shop.test/help)\n\n- One\n\n- Two\n\n[Chart]\n');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CATEGORIES, AnalysisError, classifyError, detectBotProtection, checkResponse, checkPageResponse } = require('../lib/errors');
+
+function errorWith(message, properties = {}) {
+    return Object.assign(new Error(message), properties);
+}
+
+test('classifies Node, axios and Chromium errors', () => {
+    const cases = [
+        [errorWith('getaddrinfo ENOTFOUND shop.invalid', { code: 'ENOTFOUND' }), ERROR_CATEGORIES.DNS],
+        [errorWith('net::ERR_NAME_NOT_RESOLVED at https://shop.invalid'), ERROR_CATEGORIES.DNS],
+        [errorWith('certificate has expired', { code: 'CERT_HAS_EXPIRED' }), ERROR_CATEGORIES.TLS],
+        [errorWith('net::ERR_CERT_AUTHORITY_INVALID at https://self-signed.test'), ERROR_CATEGORIES.TLS],
+        [errorWith('Request failed with status code 404', { response: { status: 404 } }), ERROR_CATEGORIES.HTTP_STATUS],
+        [errorWith('Navigation timeout of 60000 ms exceeded', { name: 'TimeoutError' }), ERROR_CATEGORIES.TIMEOUT],
+        [errorWith('timeout of 30000ms exceeded', { code: 'ECONNABORTED' }), ERROR_CATEGORIES.TIMEOUT],
+        [errorWith('Protocol error (Page.navigate): Target closed.'), ERROR_CATEGORIES.NAVIGATION_CRASH],
+        [errorWith('Navigating frame was detached'), ERROR_CATEGORIES.NAVIGATION_CRASH],
+        [new SyntaxError('Unexpected token < in JSON at position 0'), ERROR_CATEGORIES.PARSE],
+        [new AnalysisError(ERROR_CATEGORIES.BOT_PROTECTION, 'Challenge page'), ERROR_CATEGORIES.BOT_PROTECTION],
+        [errorWith('Something else went wrong'), ERROR_CATEGORIES.UNKNOWN]
+    ];
+    cases.forEach(([error, category]) => assert.equal(classifyError(error), category, error.message));
+});
+
+test('detects bot protection pages', () => {
+    assert.equal(detectBotProtection({ status: 403, headers: { 'cf-mitigated': 'challenge' } }), 'Cloudflare');
+    assert.equal(detectBotProtection({ status: 503, html: '<title>Just a moment...</title>' }), 'Cloudflare');
+    assert.equal(detectBotProtection({ status: 403, html: '<script src="https://ct.captcha-delivery.com/c.js"></script>' }), 'DataDome');
+    assert.equal(detectBotProtection({ status: 429, html: '<div class="g-recaptcha"></div>' }), 'captcha');
+});
+
+test('does not mistake captchas in forms of a working page for bot protection', () => {
+    assert.equal(detectBotProtection({ status: 200, html: '<form><div class="g-recaptcha"></div></form>' }), null);
+    assert.equal(detectBotProtection({ status: 200, html: '<script src="/cdn-cgi/challenge-platform/scripts/jsd/main.js"></script>' }), null);
+});
+
+test('checks the response a page was loaded with', () => {
+    const response = (status, headers = {}) => ({ status: () => status, headers: () => headers });
+
+    assert.doesNotThrow(() => checkPageResponse(response(200), '<h1>Shop</h1>', 'https://shop.test/'));
+    assert.doesNotThrow(() => checkPageResponse(null, '<h1>Shop</h1>', 'https://shop.test/'));
+    assert.throws(() => checkPageResponse(response(404), '<h1>Not found</h1>', 'https://shop.test/gone'), {
+        category: ERROR_CATEGORIES.HTTP_STATUS,
+        status: 404,
+        message: 'HTTP 404 for https://shop.test/gone'
+    });
+    assert.throws(() => checkPageResponse(response(403, { 'cf-mitigated': 'challenge' }), '', 'https://shop.test/'), {
+        category: ERROR_CATEGORIES.BOT_PROTECTION,
+        status: 403
+    });
+});
+
+test('checks a response fetched outside the browser', () => {
+    assert.doesNotThrow(() => checkResponse({ status: 200, headers: {}, html: '<h1>Shop</h1>' }, 'https://shop.test/'));
+    assert.throws(() => checkResponse({ status: 503, html: '<title>Access Denied</title>' }, 'https://shop.test/'), {
+        category: ERROR_CATEGORIES.BOT_PROTECTION,
+        message: 'Akamai bot protection answered https://shop.test/ with HTTP 503'
+    });
+    assert.throws(() => checkResponse({ status: 502, headers: {}, html: '' }, 'https://shop.test/'), {
+        category: ERROR_CATEGORIES.HTTP_STATUS,
+        status: 502
+    });
+});
@@ -0,0 +1,205 @@
+const zlib = require('zlib');
+
+// Fixture sites for the test suite. Each one is a function of the URL it is
+// served at (sitemaps need absolute URLs) returning its routes, see
+// `serveFixture`.
+
+function page({ title, head = '', body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  ${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function urlset(baseUrl, paths) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(path => `  <url><loc>${baseUrl}${path}</loc></url>`).join('\n')}
+</urlset>`;
+}
+
+function sitemapIndex(baseUrl, paths) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(path => `  <sitemap><loc>${baseUrl}${path}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+}
+
+const PRODUCTS = {
+    1: { name: 'Walnut desk', description: 'A solid walnut desk with two drawers and cable management.' },
+    2: { name: 'Oak shelf', description: 'A wall mounted oak shelf that holds up to forty kilograms.' }
+};
+
+// What the client-side app renders for a path, as markup
+function csrContent(path) {
+    const product = PRODUCTS[path.split('/')[2]];
+    if (product) {
+        return `<main><h1>${product.name}</h1><p>${product.description}</p><ul><li>Free delivery within a week</li><li>Thirty day returns</li></ul></main>`;
+    }
+    return '<main><h1>Furniture made to last</h1><p>Handmade tables, desks and shelves from sustainable European hardwood.</p>' +
+        '<ul><li><a href="/products/1">Walnut desk</a></li><li><a href="/products/2">Oak shelf</a></li></ul></main>';
+}
+
+/**
+ * A Create React App style site: an empty #root filled by the bundle, which
+ * mounts itself the way React does (`_reactRootContainer`).
+ */
+function csrReact(baseUrl) {
+    const shell = page({
+        title: 'Furniture',
+        body: '<noscript>You need to enable JavaScript to run this app.</noscript>\n<div id="root"></div>\n<script src="/static/js/main.4f2a9c1e.js"></script>'
+    });
+    const contentByPath = {};
+    ['/', '/products/1', '/products/2'].forEach(path => {
+        contentByPath[path] = csrContent(path);
+    });
+    return {
+        '/': shell,
+        '/products/1': shell,
+        '/products/2': shell,
+        '/static/js/main.4f2a9c1e.js': `(function () {
+    var contentByPath = ${JSON.stringify(contentByPath)};
+    var root = document.getElementById('root');
+    root.innerHTML = contentByPath[location.pathname] || '<main><h1>Not found</h1></main>';
+    root._reactRootContainer = { _internalRoot: {} };
+})();`,
+        '/sitemap.xml': urlset(baseUrl, ['/', '/products/1', '/products/2'])
+    };
+}
+
+const POSTS = {
+    'hello-world': { title: 'Hello world', body: 'Our first post explains why every page of this blog is rendered on the server.' },
+    'second-post': { title: 'A second post', body: 'Server rendering keeps the content readable for crawlers that do not run JavaScript.' }
+};
+
+/**
+ * A Next.js pages router site rendered on the server, whose only client-side
+ * content is a comment count loaded after hydration.
+ */
+function nextSsr(baseUrl) {
+    const render = (path, title, content) => page({
+        title,
+        head: `<meta name="description" content="${title} on the blog"><link rel="canonical" href="${baseUrl}${path}">`,
+        body: `<div id="__next"><header><nav><a href="/">Blog</a></nav></header><main>${content}<p id="comments"></p></main></div>
+<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: {} }, page: path, isFallback: false, gssp: true })}</script>
+<script src="/_next/static/chunks/main-3b1f.js"></script>`
+    });
+
+    const routes = {
+        '/': render('/', 'Blog', `<h1>Blog</h1><ul>${Object.keys(POSTS).map(slug => `<li><a href="/posts/${slug}">${POSTS[slug].title}</a></li>`).join('')}</ul>`),
+        '/_next/static/chunks/main-3b1f.js': `window.next = { version: '13.4.19' };
+document.getElementById('comments').textContent = '3 comments from readers';`,
+        '/robots.txt': `User-agent: *\nAllow: /\nSitemap: ${baseUrl}/sitemap.xml`,
+        '/sitemap.xml': urlset(baseUrl, ['/', ...Object.keys(POSTS).map(slug => `/posts/${slug}`)])
+    };
+    Object.keys(POSTS).forEach(slug => {
+        routes[`/posts/${slug}`] = render(`/posts/${slug}`, POSTS[slug].title, `<article><h1>${POSTS[slug].title}</h1><p>${POSTS[slug].body}</p></article>`);
+    });
+    return routes;
+}
+
+/**
+ * Sitemaps only: robots.txt points at a sitemap index listing a plain and a
+ * gzipped sitemap, plus one on another host that must be ignored.
+ */
+function sitemapIndexSite(baseUrl) {
+    return {
+        '/robots.txt': `User-agent: *\nSitemap: ${baseUrl}/sitemap_index.xml`,
+        '/sitemap_index.xml': sitemapIndex(baseUrl, ['/sitemaps/pages.xml', '/sitemaps/posts.xml.gz']),
+        '/sitemaps/pages.xml': urlset(baseUrl, ['/', '/about', '/contact']),
+        '/sitemaps/posts.xml.gz': {
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: zlib.gzipSync(`${urlset(baseUrl, ['/posts/1', '/posts/2', '/about'])}`.replace('</urlset>', '  <url><loc>https://elsewhere.example/posts/3</loc></url>\n</urlset>'))
+        }
+    };
+}
+
+/**
+ * No robots.txt and no sitemap at all, only links on the homepage.
+ */
+function noSitemap() {
+    return {
+        '/': page({ title: 'Home', body: '<main><h1>Home</h1><ul><li><a href="/one">One</a></li><li><a href="/two">Two</a></li></ul></main>' })
+    };
+}
+
+/**
+ * A React site where some pages cannot be analysed: a malformed sitemap, a
+ * bot protection challenge and a server error.
+ */
+function broken(baseUrl) {
+    const routes = csrReact(baseUrl);
+    return {
+        ...routes,
+        '/sitemap.xml': `<?xml version="1.0"?><urlset><url><loc>${baseUrl}/products/1</url></urlset>`,
+        '/sitemap': page({
+            title: 'Sitemap',
+            body: '<ul><li><a href="/products/1">Walnut desk</a></li><li><a href="/challenge">Deals</a></li><li><a href="/error">Outlet</a></li></ul>'
+        }),
+        '/challenge': {
+            status: 403,
+            headers: { 'cf-mitigated': 'challenge' },
+            body: page({ title: 'Just a moment...', body: '<p>Checking your browser before accessing the site.</p>' })
+        },
+        '/error': { status: 500, body: page({ title: 'Server error', body: '<h1>Something went wrong</h1>' }) }
+    };
+}
+
+/**
+ * A client-rendered app that serves crawlers a prerendered page instead
+ * ("dynamic rendering") and shows desktops a sidebar the others do not get.
+ */
+function dynamicRendering(baseUrl) {
+    const routes = csrReact(baseUrl);
+    const shell = routes['/'];
+    const prerendered = shell.replace('<div id="root"></div>', `<div id="root">${csrContent('/')}</div>`);
+    return {
+        ...routes,
+        '/': request => (/bot/i.test(request.headers['user-agent']) ? prerendered : shell),
+        '/static/js/main.4f2a9c1e.js': `${routes['/static/js/main.4f2a9c1e.js']}
+if (!/Mobile|Android/.test(navigator.userAgent)) {
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<aside><p>Visit our showroom in Utrecht for a free design consultation.</p></aside>');
+}`
+    };
+}
+
+/**
+ * A feed that never stops changing: a ticker updates all the time and every
+ * scroll appends more stories, like infinite scroll without an end.
+ */
+function endlessFeed() {
+    return {
+        '/': page({
+            title: 'Feed',
+            body: `<main><h1>Latest stories</h1><p id="ticker"></p><ul id="feed"><li style="height: 2000px">Story 1</li></ul></main>
+<script>
+var feed = document.getElementById('feed');
+var ticks = 0;
+setInterval(function () { document.getElementById('ticker').textContent = 'Updated ' + (++ticks) + ' times'; }, 100);
+window.addEventListener('scroll', function () {
+    for (var i = 0; i < 5; i++) feed.insertAdjacentHTML('beforeend', '<li style="height: 400px">Story ' + (feed.children.length + 1) + '</li>');
+});
+</script>`
+        })
+    };
+}
+
+module.exports = {
+    PRODUCTS,
+    csrContent,
+    POSTS,
+    csrReact,
+    nextSsr,
+    sitemapIndexSite,
+    noSitemap,
+    broken,
+    dynamicRendering,
+    endlessFeed
+};
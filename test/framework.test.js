@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprintFromSignals, describeFramework } = require('../lib/framework');
+
+const NO_HINTS = { nextData: false, rscPayload: false, reactRoot: false, hydrationMarkers: [] };
+
+test('a meta-framework wins over the library it builds on', () => {
+    const fingerprint = fingerprintFromSignals({
+        matched: ['nextData', 'nextRoot', 'nextAssets', 'nextGlobal', 'reactFiberKey'],
+        versions: { 'Next.js': '13.4.19' },
+        hints: { ...NO_HINTS, nextData: true }
+    });
+
+    assert.equal(fingerprint.framework, 'Next.js');
+    assert.equal(fingerprint.variant, 'pages router');
+    assert.equal(fingerprint.version, '13.4.19');
+    assert.equal(fingerprint.library, 'React');
+    assert.equal(fingerprint.isReact, true);
+    assert.equal(describeFramework(fingerprint), 'Next.js (pages router)');
+});
+
+test('the RSC payload makes Next.js the app router', () => {
+    const fingerprint = fingerprintFromSignals({ matched: ['nextRsc', 'nextAssets'], versions: {}, hints: NO_HINTS });
+
+    assert.equal(describeFramework(fingerprint), 'Next.js (app router)');
+    assert.equal(fingerprint.confidence, 0.97);
+});
+
+test('Create React App is told apart from plain React by its bundle', () => {
+    const fingerprint = fingerprintFromSignals({ matched: ['craBundle', 'reactRootContainer'], versions: { React: '18.2.0' }, hints: NO_HINTS });
+
+    assert.equal(fingerprint.framework, 'Create React App');
+    assert.equal(fingerprint.version, '18.2.0');
+    assert.equal(fingerprint.confidence, 0.5);
+});
+
+test('no signals, no framework', () => {
+    const fingerprint = fingerprintFromSignals({ matched: [], versions: {}, hints: NO_HINTS });
+
+    assert.equal(fingerprint.framework, null);
+    assert.equal(fingerprint.isReact, false);
+    assert.equal(fingerprint.confidence, 0);
+    assert.equal(describeFramework(fingerprint), 'None');
+});
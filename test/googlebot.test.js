@@ -0,0 +1,66 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseXRobotsTag, isAllowedByRobots, fetchAsCrawler, captureAsGooglebot } = require('../lib/googlebot');
+const { serveFixture } = require('./helpers/fixture-server');
+const sites = require('./fixtures/sites');
+
+test('keeps the X-Robots-Tag directives meant for Googlebot', () => {
+    assert.deepEqual(parseXRobotsTag(undefined), []);
+    assert.deepEqual(parseXRobotsTag('noindex, nofollow'), ['noindex', 'nofollow']);
+    assert.deepEqual(parseXRobotsTag('bingbot: noindex, googlebot: nofollow, noarchive'), ['nofollow', 'noarchive']);
+    assert.deepEqual(parseXRobotsTag(['max-snippet: 20', 'otherbot: none']), ['max-snippet: 20']);
+    assert.deepEqual(parseXRobotsTag('unavailable_after: 2030-01-01'), ['unavailable_after: 2030-01-01']);
+});
+
+// Each server has its own host, so the per-host rate limit makes every request after the first wait a second
+describe('crawling as Googlebot', () => {
+    const servers = {};
+
+    before(async () => {
+        servers.robots = await serveFixture(() => ({
+            '/robots.txt': 'User-agent: Googlebot\nDisallow: /private\n\nUser-agent: *\nDisallow: /'
+        }));
+        servers.robotsDown = await serveFixture(() => ({ '/robots.txt': { status: 503, body: 'Unavailable' } }));
+        servers.redirects = await serveFixture(() => {
+            const routes = {};
+            for (let hop = 0; hop < 20; hop++) routes[`/hop/${hop}`] = { status: 301, headers: { Location: `/hop/${hop + 1}` } };
+            routes['/hop/20'] = '<!DOCTYPE html><html><head><title>Arrived</title></head><body><p>Arrived</p></body></html>';
+            return routes;
+        });
+        servers.nextSsr = await serveFixture(sites.nextSsr);
+        servers.dynamicRendering = await serveFixture(sites.dynamicRendering);
+    });
+
+    after(() => Promise.all(Object.values(servers).map(server => server.close())));
+
+    test('reads robots.txt once per origin', async () => {
+        assert.equal(await isAllowedByRobots(`${servers.robots.url}/`), true);
+        assert.equal(await isAllowedByRobots(`${servers.robots.url}/private/page`), false);
+        assert.deepEqual(servers.robots.requests, ['/robots.txt']);
+    });
+
+    test('a robots.txt server error disallows everything', async () => {
+        assert.equal(await isAllowedByRobots(`${servers.robotsDown.url}/`), false);
+    });
+
+    test('records every redirect hop, up to a limit', async () => {
+        const capture = await fetchAsCrawler(`${servers.redirects.url}/hop/18`, { respectRobots: false });
+
+        assert.equal(capture.status, 200);
+        assert.equal(capture.finalUrl, `${servers.redirects.url}/hop/20`);
+        assert.deepEqual(capture.redirects.map(redirect => redirect.status), [301, 301]);
+
+        await assert.rejects(fetchAsCrawler(`${servers.redirects.url}/hop/0`, { respectRobots: false }), /Too many redirects .* \(more than 10\)/);
+    });
+
+    test('suspects cloaking when crawlers get other content than browsers', async () => {
+        const same = await captureAsGooglebot(`${servers.nextSsr.url}/`);
+        const prerendered = await captureAsGooglebot(`${servers.dynamicRendering.url}/`);
+
+        assert.equal(same.cloaking.suspected, false);
+        assert.equal(same.cloaking.similarity, 100);
+        assert.equal(prerendered.cloaking.suspected, true);
+        assert.ok(prerendered.cloaking.similarity < 80);
+        assert.match(prerendered.cloaking.reasons[0], /^content \d+% similar$/);
+    });
+});
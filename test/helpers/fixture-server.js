@@ -0,0 +1,63 @@
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.js': 'application/javascript',
+    '.xml': 'application/xml',
+    '.txt': 'text/plain',
+    '.gz': 'application/gzip'
+};
+
+/**
+ * Serve a fixture site on a free port of 127.0.0.1, so tests need no network.
+ *
+ * `site` is called with the URL the site is served at and returns its routes:
+ * a path maps to a body, to `{ status, headers, body }` or to a function of
+ * the request returning either, e.g. to answer per user agent. Other paths
+ * are 404s. Each server gets its own port, so each site has its own host and
+ * rate limit.
+ *
+ * @param {(baseUrl: string) => Object<string, string|Buffer|Object|((request: http.IncomingMessage) => string|Buffer|Object)>} site
+ * @returns {Promise<{ url: string, requests: string[], close: () => Promise<void> }>}
+ */
+function serveFixture(site) {
+    const requests = [];
+    let routes = {};
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://127.0.0.1');
+        requests.push(pathname);
+
+        let route = routes[pathname];
+        if (typeof route === 'function') route = route(request);
+        if (route === undefined) {
+            response.writeHead(404, { 'Content-Type': 'text/html' });
+            response.end('<!DOCTYPE html><html><head><title>Not found</title></head><body><h1>Not found</h1></body></html>');
+            return;
+        }
+
+        const { status = 200, headers = {}, body } = typeof route === 'string' || Buffer.isBuffer(route) ? { body: route } : route;
+        response.writeHead(status, { 'Content-Type': CONTENT_TYPES[path.extname(pathname)] || 'text/html', ...headers });
+        response.end(body);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            routes = site(url);
+            resolve({
+                url,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    serveFixture
+};
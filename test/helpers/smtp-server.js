@@ -0,0 +1,83 @@
+const net = require('net');
+
+/**
+ * A local stand-in for an SMTP server on a free port of 127.0.0.1: it speaks
+ * just enough SMTP for nodemailer to deliver, without TLS or auth, and keeps
+ * every message it accepted.
+ *
+ * @returns {Promise<{ port: number, messages: Array<{ from: string, to: string[], data: string }>, close: () => Promise<void> }>}
+ */
+function serveSmtp() {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf8');
+
+        let buffer = '';
+        let message = null;
+        let readingData = false;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            while (true) {
+                if (readingData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    message.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    messages.push(message);
+                    readingData = false;
+                    reply('250 OK queued');
+                    continue;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    message = { from: line.replace(/^MAIL FROM:\s*<?([^>]*)>?.*$/i, '$1'), to: [], data: '' };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, '$1'));
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    readingData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+        socket.write('220 localhost SMTP stand-in\r\n');
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                port: server.address().port,
+                messages,
+                close: () => new Promise(done => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    serveSmtp
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHANGE_TYPES, snapshotSite, compareRuns } = require('../lib/history');
+
+const SITE = 'https://shop.test';
+
+function run(pages, fields = {}) {
+    return new Map([[SITE, { site: SITE, status: 'done', framework: 'Next.js', error: null, errorCategory: null, pages, ...fields }]]);
+}
+
+test('a coverage drop of at least the threshold is a regression', () => {
+    const before = run({ [`${SITE}/`]: { ssrPercentage: 90, seo: {} }, [`${SITE}/a`]: { ssrPercentage: 80, seo: {} } });
+    const after = run({ [`${SITE}/`]: { ssrPercentage: 88, seo: {} }, [`${SITE}/a`]: { ssrPercentage: 60, seo: {} } });
+
+    const { sites, regressions } = compareRuns(before, after, { threshold: 5 });
+
+    assert.equal(regressions, 1);
+    assert.deepEqual(sites[0].changes.map(change => [change.url, change.regression]), [[`${SITE}/`, false], [`${SITE}/a`, true]]);
+});
+
+test('SEO elements no longer in the initial HTML are regressions', () => {
+    const before = run({ [`${SITE}/`]: { ssrPercentage: 90, seo: { title: 'Server-side', canonical: 'Missing' } } });
+    const after = run({ [`${SITE}/`]: { ssrPercentage: 90, seo: { title: 'Injected client-side', canonical: 'Injected client-side' } } });
+
+    const { sites, regressions } = compareRuns(before, after);
+
+    assert.equal(regressions, 1);
+    assert.equal(sites[0].changes[0].type, CHANGE_TYPES.SEO);
+    assert.equal(sites[0].changes[0].element, 'title');
+});
+
+test('pages and sites that start failing are regressions', () => {
+    const before = run({ [`${SITE}/`]: { ssrPercentage: 90, seo: {} } });
+    const pageFails = run({ [`${SITE}/`]: { ssrPercentage: null, seo: {}, error: { category: 'bot-protection', message: 'Cloudflare bot protection answered' } } });
+    const siteFails = run({}, { status: 'failed', error: 'getaddrinfo ENOTFOUND shop.test', errorCategory: 'dns' });
+
+    assert.equal(compareRuns(before, pageFails).regressions, 1);
+    assert.equal(compareRuns(before, pageFails).sites[0].changes[0].category, 'bot-protection');
+    assert.equal(compareRuns(before, siteFails).sites[0].changes[0].category, 'dns');
+    assert.equal(compareRuns(pageFails, before).sites[0].changes[0].type, CHANGE_TYPES.RECOVERED);
+});
+
+test('coverage is compared per template when the sampled pages change', () => {
+    const before = run({ [`${SITE}/products/1`]: { template: '/products/:id', ssrPercentage: 80, seo: {} } }, {
+        templates: { '/products/:id': { ssrPercentage: 80, pages: 40, analyzed: 1 }, '/blog/:slug': { ssrPercentage: 3, pages: 2, analyzed: 1 } }
+    });
+    const after = run({ [`${SITE}/products/2`]: { template: '/products/:id', ssrPercentage: 10, seo: {} } }, {
+        templates: { '/products/:id': { ssrPercentage: 10, pages: 40, analyzed: 1 } }
+    });
+
+    const { sites, regressions } = compareRuns(before, after, { threshold: 5 });
+    const change = predicate => sites[0].changes.find(predicate);
+
+    assert.equal(change(c => c.template === '/products/:id').type, CHANGE_TYPES.COVERAGE);
+    assert.equal(change(c => c.template === '/products/:id').regression, true);
+    assert.equal(change(c => c.template === '/blog/:slug').type, CHANGE_TYPES.REMOVED);
+    assert.equal(change(c => c.template === '/blog/:slug').regression, false);
+    assert.equal(change(c => c.url === `${SITE}/products/1`).type, CHANGE_TYPES.REMOVED);
+    assert.equal(change(c => c.url === `${SITE}/products/1`).regression, false);
+    assert.equal(change(c => c.url === `${SITE}/products/2`).type, CHANGE_TYPES.ADDED);
+    assert.equal(regressions, 1);
+});
+
+test('snapshots keep the coverage of each template', () => {
+    const snapshot = snapshotSite({
+        baseUrl: SITE,
+        status: 'done',
+        records: [{ analyzedUrl: `${SITE}/products/1`, framework: 'Next.js', template: '/products/:id', ssrPercentage: '80.00' }],
+        pages: [{ url: `${SITE}/products/1` }],
+        templates: [{ template: '/products/:id', pages: 40, analyzed: 1, ssrPercentage: '80.00' }]
+    });
+
+    assert.deepEqual(snapshot.templates, { '/products/:id': { ssrPercentage: 80, pages: 40, analyzed: 1 } });
+    assert.equal(snapshot.pages[`${SITE}/products/1`].template, '/products/:id');
+});
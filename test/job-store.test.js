@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SITE_STATUS, openJob } = require('../lib/job-store');
+
+const SITE = 'https://shop.test';
+let stateDir = null;
+
+beforeEach(() => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'finding-ssr-jobs-'));
+});
+
+afterEach(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+function events(job) {
+    return fs.readFileSync(job.file, 'utf8').trim().split('\n').map(line => JSON.parse(line)).filter(event => event.type === 'site');
+}
+
+test('writes a site result once, however often the site is retried', () => {
+    const job = openJob('job-retries', { stateDir });
+    job.addSites([SITE]);
+
+    const records = Array.from({ length: 200 }, (_, index) => ({ analyzedUrl: `${SITE}/${index}`, ssrPercentage: '50.00' }));
+    job.markRunning(SITE);
+    job.markFinished(SITE, { baseUrl: SITE, status: 'failed', error: 'Navigation timeout', records });
+    job.markRunning(SITE);
+    job.markRunning(SITE);
+
+    const withResult = events(job).filter(event => 'result' in event.changes && event.changes.result);
+    assert.equal(withResult.length, 1);
+    assert.deepEqual(Object.keys(events(job)[3].changes).sort(), ['attempts', 'startedAt', 'status']);
+
+    const site = openJob('job-retries', { stateDir }).sites()[0];
+    assert.equal(site.status, SITE_STATUS.RUNNING);
+    assert.equal(site.attempts, 3);
+    assert.equal(site.result.records.length, 200);
+});
+
+test('resumes from the journal, ignoring a torn last line', () => {
+    const job = openJob('job-resume', { stateDir });
+    job.addSites([SITE, `${SITE}/other`]);
+    job.markRunning(SITE);
+    job.markFinished(SITE, { baseUrl: SITE, status: 'done', records: [] });
+    fs.appendFileSync(job.file, '{"type":"site","url":"https://shop.t');
+
+    const resumed = openJob('job-resume', { stateDir });
+    assert.equal(resumed.existed, true);
+    assert.deepEqual(resumed.summary(), { pending: 1, running: 0, done: 1, failed: 0 });
+    assert.deepEqual(resumed.sitesToRun(3), [`${SITE}/other`]);
+    assert.deepEqual(resumed.results(), [{ baseUrl: SITE, status: 'done', records: [] }]);
+});
+
+test('reads journals that stored the whole site in each event', () => {
+    const file = path.join(stateDir, 'jobs', 'job-old.jsonl');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, [
+        { type: 'job', id: 'job-old', at: '2026-01-01T00:00:00.000Z' },
+        { type: 'site', at: '2026-01-01T00:00:00.000Z', site: { url: SITE, status: SITE_STATUS.PENDING, attempts: 0, error: null, result: null } },
+        { type: 'site', at: '2026-01-01T00:01:00.000Z', site: { url: SITE, status: SITE_STATUS.FAILED, attempts: 1, error: 'DNS', result: null } }
+    ].map(event => `${JSON.stringify(event)}\n`).join(''));
+
+    const job = openJob('job-old', { stateDir });
+    assert.deepEqual(job.sitesToRun(3), [SITE]);
+    assert.equal(job.markRunning(SITE).attempts, 2);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { performanceColumns, performanceHeaders, summarizePerformance } = require('../lib/performance');
+
+const METRICS = {
+    ttfb: 120.4,
+    fcp: 480.6,
+    lcp: 1250.2,
+    cls: 0.08123,
+    tbt: 310,
+    hydration: 1900.7,
+    hydrationFramework: 'React',
+    dataFetches: 3,
+    fetchesBeforeContent: 2,
+    jsRequests: 7,
+    jsBytes: 256000
+};
+
+test('rounds the measured metrics into one column each', () => {
+    const columns = performanceColumns(METRICS);
+
+    assert.deepEqual(Object.keys(columns), performanceHeaders().map(header => header.id));
+    assert.deepEqual(columns, {
+        perf_ttfb: '120',
+        perf_fcp: '481',
+        perf_lcp: '1250',
+        perf_cls: '0.081',
+        perf_tbt: '310',
+        perf_hydration: '1901 (React)',
+        perf_jsRequests: 7,
+        perf_jsKb: '250.0',
+        perf_fetchesBeforeContent: '2 of 3'
+    });
+});
+
+test('reports metrics the page did not produce as N/A', () => {
+    // No paint happened, so there is no FCP, LCP or TBT, and no framework mounted
+    const columns = performanceColumns({ ...METRICS, fcp: null, lcp: null, tbt: null, hydration: null, hydrationFramework: null });
+
+    assert.equal(columns.perf_fcp, 'N/A');
+    assert.equal(columns.perf_lcp, 'N/A');
+    assert.equal(columns.perf_tbt, 'N/A');
+    assert.equal(columns.perf_hydration, 'Not detected');
+    assert.equal(columns.perf_ttfb, '120');
+});
+
+test('reports every column as N/A when the page was not measured', () => {
+    const columns = performanceColumns(null);
+
+    assert.deepEqual(Object.keys(columns), performanceHeaders().map(header => header.id));
+    assert.ok(Object.values(columns).every(value => value === 'N/A'));
+});
+
+test('summarises the median of each metric, leaving out pages without it', () => {
+    const records = [
+        performanceColumns(METRICS),
+        performanceColumns({ ...METRICS, lcp: 2000, cls: 0.2, tbt: 90, hydration: null, jsBytes: 102400 }),
+        performanceColumns({ ...METRICS, lcp: 900, cls: 0, tbt: 0, hydration: 1100, jsBytes: 512000 }),
+        // A page that failed to load
+        performanceColumns(null)
+    ];
+
+    assert.deepEqual(summarizePerformance(records), {
+        medianLCP: '1250',
+        medianTBT: '90',
+        medianCLS: '0.081',
+        medianHydration: '1501',
+        medianJsKb: '250.0'
+    });
+});
+
+test('summarises records without measurements as N/A', () => {
+    const expected = { medianLCP: 'N/A', medianTBT: 'N/A', medianCLS: 'N/A', medianHydration: 'N/A', medianJsKb: 'N/A' };
+
+    assert.deepEqual(summarizePerformance([]), expected);
+    assert.deepEqual(summarizePerformance([performanceColumns(null), { analyzedUrl: 'https://shop.test/' }]), expected);
+});
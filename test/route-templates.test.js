@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { typedSegments, clusterRoutes, isLowValueTemplate } = require('../lib/route-templates');
+const { selectPages } = require('../lib/analyzer');
+
+const SITE = 'https://shop.test';
+const entries = paths => paths.map(path => ({ url: `${SITE}${path}` }));
+const templatesOf = paths => clusterRoutes(entries(paths)).map(({ template, entries: items }) => [template, items.length]);
+
+test('replaces dates, numbers and hashes with placeholders', () => {
+    assert.deepEqual(typedSegments(`${SITE}/blog/2023/05/Hello%20World`), ['blog', ':yyyy', ':mm', 'hello world']);
+    assert.deepEqual(typedSegments(`${SITE}/orders/9f86d081884c7d659a2feaa0c55ad015`), ['orders', ':id']);
+});
+
+test('only segments that differ between URLs of the same section are variables', () => {
+    assert.deepEqual(templatesOf([
+        '/',
+        '/about',
+        '/contact',
+        '/product/red-shoe',
+        '/product/blue-shirt',
+        '/product/123',
+        '/product/red-shoe/reviews',
+        '/blog/2023/05/hello',
+        '/blog/2024/01/again'
+    ]), [
+        ['/', 1],
+        ['/about', 1],
+        ['/contact', 1],
+        ['/product/:slug', 3],
+        ['/product/red-shoe/reviews', 1],
+        ['/blog/:yyyy/:mm/:slug', 2]
+    ]);
+});
+
+test('keeps segments shared by several URLs as part of the route', () => {
+    assert.deepEqual(templatesOf(['/product/red-shoe/reviews', '/product/blue-shirt/reviews', '/help/shipping/costs', '/help/returns/costs']), [
+        ['/product/:slug/reviews', 2],
+        ['/help/:slug/costs', 2]
+    ]);
+    assert.deepEqual(templatesOf(['/product/red-shoe/reviews', '/product/red-shoe/photos']), [['/product/red-shoe/:slug', 2]]);
+});
+
+test('flags archives, search and account pages as low value', () => {
+    assert.equal(isLowValueTemplate('/tag/:slug'), true);
+    assert.equal(isLowValueTemplate('/search'), true);
+    assert.equal(isLowValueTemplate('/product/:slug'), false);
+});
+
+test('selects pages round-robin across templates, best ranked first', () => {
+    const pages = selectPages([
+        { url: `${SITE}/tag/sale` },
+        { url: `${SITE}/tag/new` },
+        { url: `${SITE}/product/red-shoe`, priority: 0.5 },
+        { url: `${SITE}/product/blue-shirt`, priority: 0.9 },
+        { url: `${SITE}/product/green-hat`, lastmod: '2024-01-01' },
+        { url: `${SITE}/blog/hello` },
+        { url: `${SITE}/blog/again` },
+        { url: `${SITE}/` }
+    ], { pagesPerSite: 5, pagesPerTemplate: 2 });
+
+    assert.deepEqual(pages.map(page => [page.url.slice(SITE.length), page.template]), [
+        ['/', '/'],
+        ['/product/blue-shirt', '/product/:slug'],
+        ['/blog/hello', '/blog/:slug'],
+        ['/tag/sale', '/tag/:slug'],
+        ['/product/green-hat', '/product/:slug']
+    ]);
+    assert.equal(pages[1].templatePages, 3);
+});
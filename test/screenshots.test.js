@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { diffScreenshots } = require('../lib/screenshots');
+
+// A PNG filled white, with the rows from `blackFrom` down black
+function png(width, height, blackFrom = height) {
+    const image = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const value = y >= blackFrom ? 0 : 255;
+            image.data[index] = value;
+            image.data[index + 1] = value;
+            image.data[index + 2] = value;
+            image.data[index + 3] = 255;
+        }
+    }
+    return PNG.sync.write(image);
+}
+
+function pixel(buffer, x, y) {
+    const image = PNG.sync.read(buffer);
+    const index = (y * image.width + x) * 4;
+    return Array.from(image.data.subarray(index, index + 3));
+}
+
+test('identical renders do not differ', () => {
+    const { diff, diffPercentage } = diffScreenshots(png(32, 32), png(32, 32));
+
+    assert.equal(diffPercentage, 0);
+    assert.deepEqual(pixel(diff, 0, 0), [255, 255, 255]);
+});
+
+test('pads the shorter render with white and tints what differs red', () => {
+    // Without JavaScript the page is half as tall; the extra half is black with it
+    const { diff, diffPercentage } = diffScreenshots(png(32, 32), png(32, 64, 32));
+    const image = PNG.sync.read(diff);
+
+    assert.equal(image.width, 32);
+    assert.equal(image.height, 64);
+    assert.equal(diffPercentage, 50);
+    assert.deepEqual(pixel(diff, 0, 0), [255, 255, 255]);
+    assert.deepEqual(pixel(diff, 0, 40), [128, 0, 0]);
+});
+
+test('highlights whole cells around a differing pixel', () => {
+    const { diff, diffPercentage } = diffScreenshots(png(32, 32), png(32, 32, 31));
+
+    assert.equal(diffPercentage, (32 / (32 * 32)) * 100);
+    // The cell holding the last row is tinted from its top, the one above is not
+    assert.deepEqual(pixel(diff, 0, 16), [255, 128, 128]);
+    assert.deepEqual(pixel(diff, 0, 15), [255, 255, 255]);
+});
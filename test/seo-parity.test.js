@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS, ELEMENTS, compareSeoElements, parityColumns, parityHeaders } = require('../lib/seo-parity');
+
+const PAGE_URL = 'https://shop.test/products/desk';
+
+function page(head, body = '') {
+    return `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+}
+
+function statuses(parity, keys) {
+    return Object.fromEntries(keys.map(key => [key, parity.elements[key].status]));
+}
+
+test('flags elements present in both renders as server-side', () => {
+    const html = page(
+        '<title>Walnut desk</title><meta name="description" content="A desk made to last"><link rel="canonical" href="/products/desk"><meta name="robots" content="index, follow">',
+        '<h1>Walnut desk</h1>'
+    );
+
+    const parity = compareSeoElements(html, html, PAGE_URL);
+
+    assert.deepEqual(statuses(parity, ['title', 'metaDescription', 'canonical', 'robots', 'headings']), {
+        title: STATUS.SERVER,
+        metaDescription: STATUS.SERVER,
+        canonical: STATUS.SERVER,
+        robots: STATUS.SERVER,
+        headings: STATUS.SERVER
+    });
+    assert.equal(parity.elements.canonical.initial, PAGE_URL);
+    assert.deepEqual(parity.atRisk, []);
+});
+
+test('flags elements only JavaScript adds as injected client-side', () => {
+    const initialHtml = page('', '<div id="root"></div>');
+    const finalHtml = page(
+        '<title>Walnut desk</title><meta name="description" content="A desk made to last"><link rel="canonical" href="/products/desk"><meta name="robots" content="noindex">',
+        '<div id="root"><h1>Walnut desk</h1></div>'
+    );
+
+    const parity = compareSeoElements(initialHtml, finalHtml, PAGE_URL);
+
+    assert.deepEqual(statuses(parity, ['title', 'metaDescription', 'canonical', 'robots', 'headings']), {
+        title: STATUS.CLIENT,
+        metaDescription: STATUS.CLIENT,
+        canonical: STATUS.CLIENT,
+        robots: STATUS.CLIENT,
+        headings: STATUS.CLIENT
+    });
+    assert.deepEqual(parity.atRisk, ['title', 'metaDescription', 'canonical', 'robots', 'headings']);
+});
+
+test('flags elements hydration rewrites as changed, listing what it added and removed', () => {
+    const initialHtml = page(
+        '<title>Loading</title><meta name="description" content="Shop"><link rel="canonical" href="/"><meta name="robots" content="noindex">',
+        '<h1>Loading</h1>'
+    );
+    const finalHtml = page(
+        '<title>Walnut desk</title><meta name="description" content="A desk made to last"><link rel="canonical" href="/products/desk"><meta name="robots" content="index">',
+        '<h1>Walnut desk</h1>'
+    );
+
+    const parity = compareSeoElements(initialHtml, finalHtml, PAGE_URL);
+
+    assert.deepEqual(statuses(parity, ['title', 'metaDescription', 'canonical', 'robots', 'headings']), {
+        title: STATUS.CHANGED,
+        metaDescription: STATUS.CHANGED,
+        canonical: STATUS.CHANGED,
+        robots: STATUS.CHANGED,
+        headings: STATUS.CHANGED
+    });
+    assert.deepEqual(parity.elements.robots.added, ['robots=index']);
+    assert.deepEqual(parity.elements.robots.removed, ['robots=noindex']);
+    assert.deepEqual(parity.elements.headings.added, ['h1: Walnut desk']);
+    assert.equal(parity.elements.title.added, undefined);
+});
+
+test('flags elements absent from both renders as missing, which is not a risk', () => {
+    const html = page('', '<p>Walnut desk</p>');
+
+    const parity = compareSeoElements(html, html, PAGE_URL);
+
+    assert.deepEqual(statuses(parity, ['title', 'metaDescription', 'canonical', 'robots', 'headings']), {
+        title: STATUS.MISSING,
+        metaDescription: STATUS.MISSING,
+        canonical: STATUS.MISSING,
+        robots: STATUS.MISSING,
+        headings: STATUS.MISSING
+    });
+    assert.deepEqual(parity.atRisk, []);
+});
+
+test('reports one column per element, N/A without a report', () => {
+    const initialHtml = page('<title>Walnut desk</title><meta name="description" content="Shop">', '');
+    const finalHtml = page('<title>Walnut desk</title><meta name="description" content="A desk made to last">', '<h1>Walnut desk</h1>');
+
+    const columns = parityColumns(compareSeoElements(initialHtml, finalHtml, PAGE_URL));
+
+    assert.deepEqual(Object.keys(columns), parityHeaders().map(header => header.id));
+    assert.equal(columns.seo_title, 'Server-side');
+    assert.equal(columns.seo_metaDescription, 'Changed by hydration');
+    assert.equal(columns.seo_headings, 'Injected client-side');
+    assert.equal(columns.seo_canonical, 'Missing');
+    assert.equal(parityHeaders().length, ELEMENTS.length);
+    assert.ok(Object.values(parityColumns(null)).every(value => value === 'N/A'));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { discoverSitemapUrls, parseSitemapXml } = require('../lib/sitemap');
+const { ERROR_CATEGORIES } = require('../lib/errors');
+const { serveFixture } = require('./helpers/fixture-server');
+const sites = require('./fixtures/sites');
+
+test('follows a sitemap index from robots.txt, including gzipped sitemaps', async () => {
+    const server = await serveFixture(sites.sitemapIndexSite);
+    try {
+        const entries = await discoverSitemapUrls(server.url);
+
+        assert.deepEqual(entries.map(entry => entry.url).sort(), [
+            `${server.url}/`,
+            `${server.url}/about`,
+            `${server.url}/contact`,
+            `${server.url}/posts/1`,
+            `${server.url}/posts/2`
+        ]);
+        // The first sitemap listing a URL is its source
+        assert.equal(entries.find(entry => entry.url === `${server.url}/about`).source, `${server.url}/sitemaps/pages.xml`);
+        assert.equal(entries.find(entry => entry.url === `${server.url}/posts/1`).source, `${server.url}/sitemaps/posts.xml.gz`);
+    } finally {
+        await server.close();
+    }
+});
+
+test('keeps the valid sitemap declarations of robots.txt when one is malformed', async () => {
+    const server = await serveFixture(baseUrl => ({
+        ...sites.sitemapIndexSite(baseUrl),
+        '/robots.txt': `User-agent: *\nSitemap: http://[broken/sitemap.xml\nSitemap: ${baseUrl}/sitemaps/pages.xml`
+    }));
+    try {
+        const entries = await discoverSitemapUrls(server.url);
+
+        assert.deepEqual(entries.map(entry => entry.url).sort(), [`${server.url}/`, `${server.url}/about`, `${server.url}/contact`]);
+        assert.deepEqual(server.requests, ['/robots.txt', '/sitemaps/pages.xml']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('falls back to the usual sitemap locations and finds nothing without sitemaps', async () => {
+    const server = await serveFixture(sites.noSitemap);
+    try {
+        const entries = await discoverSitemapUrls(server.url);
+
+        assert.deepEqual(entries, []);
+        assert.deepEqual(server.requests, ['/robots.txt', '/sitemap.xml', '/sitemap_index.xml', '/sitemap.xml.gz']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('skips a malformed sitemap', async () => {
+    const server = await serveFixture(sites.broken);
+    try {
+        assert.deepEqual(await discoverSitemapUrls(server.url), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('malformed sitemaps are parse errors', async () => {
+    await assert.rejects(parseSitemapXml('<urlset><url><loc>/a</url></urlset>'), { category: ERROR_CATEGORIES.PARSE });
+    await assert.rejects(parseSitemapXml('<html><body></body></html>'), {
+        category: ERROR_CATEGORIES.PARSE,
+        message: 'Document is neither a <urlset> nor a <sitemapindex>'
+    });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText, declaredLanguage, detectLanguage, extractTerms, findBoilerplateTerms, downweightTerms } = require('../lib/terms');
+
+test('detects the language from its script or its stopwords', () => {
+    assert.equal(detectLanguage('The desk is made of walnut and it has two drawers for your things.'), 'en');
+    assert.equal(detectLanguage('Der Schreibtisch ist aus Nussbaum und hat zwei Schubladen für die Unterlagen.'), 'de');
+    assert.equal(detectLanguage('Le bureau est en noyer et il a deux tiroirs pour les documents.'), 'fr');
+    assert.equal(detectLanguage('クルミ材のデスクには引き出しが二つあります。'), 'ja');
+    assert.equal(detectLanguage('胡桃木书桌有两个抽屉。'), 'zh');
+    assert.equal(detectLanguage('Стол из ореха с двумя ящиками.'), 'ru');
+});
+
+test('trusts the declared language unless the text clearly is another one', () => {
+    assert.equal(detectLanguage('Стіл з горіха з двома шухлядами.', 'uk'), 'uk');
+    assert.equal(detectLanguage('Walnut desk', 'nl'), 'nl');
+    assert.equal(detectLanguage('The desk is made of walnut and it has two drawers for all of your things.', 'de'), 'en');
+    assert.equal(declaredLanguage('<html lang="pt-BR"><body></body></html>'), 'pt');
+    assert.equal(declaredLanguage('<html><body></body></html>'), null);
+});
+
+test('extracts visible text only', () => {
+    const text = extractText('<html><head><title>Desk</title></head><body><h1>Walnut</h1><p>desk</p><script>var hidden = 1;</script><style>p {}</style></body></html>');
+
+    assert.equal(text, 'Walnut desk');
+});
+
+test('counts words without stopwords, and phrases that recur', () => {
+    const { language, counts } = extractTerms('The walnut desk is great. A walnut desk for you. The oak shelf is oak.');
+
+    assert.equal(language, 'en');
+    assert.equal(counts.walnut, 2);
+    assert.equal(counts.desk, 2);
+    assert.equal(counts.oak, 2);
+    assert.equal(counts['walnut desk'], 2);
+    assert.equal(counts['oak shelf'], undefined);
+    assert.equal(counts.the, undefined);
+});
+
+test('counts inflections together when stemming', () => {
+    const { counts } = extractTerms('Desks and more desks, a desk is handmade.', { language: 'en', stem: true, phrases: false });
+
+    assert.deepEqual(counts, { desks: 3, handmade: 1 });
+});
+
+test('joins phrases without spaces in languages written without them', () => {
+    const { counts } = extractTerms('书桌抽屉。书桌抽屉。', { language: 'zh' });
+
+    assert.equal(counts['书桌抽屉'], 2);
+});
+
+test('down-weights the terms on every page of a site', () => {
+    const boilerplate = findBoilerplateTerms([{ menu: 2, walnut: 3 }, { menu: 2, oak: 1 }, { menu: 1, walnut: 1 }]);
+
+    assert.deepEqual(boilerplate, ['menu']);
+    assert.deepEqual(findBoilerplateTerms([{ menu: 1 }]), []);
+    assert.deepEqual(downweightTerms({ menu: 10, walnut: 3 }, boilerplate), { menu: 2, walnut: 3 });
+});
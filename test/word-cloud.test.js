@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COLORS, layoutWordCloud, renderWordCloudSvg, renderWordCloudPng } = require('../lib/word-cloud');
+
+const WORDS = [
+    { word: 'walnut', weight: 12, color: COLORS.javascriptOnly },
+    { word: 'desk', weight: 9, color: COLORS.seenByGoogle },
+    { word: 'drawers', weight: 5, color: COLORS.javascriptOnly },
+    { word: 'delivery', weight: 5, color: COLORS.seenByGoogle },
+    { word: 'hardwood', weight: 3, color: COLORS.seenByGoogle },
+    { word: 'returns', weight: 1, color: COLORS.javascriptOnly }
+];
+
+test('the same words and seed always give the same cloud, whatever their order', () => {
+    const reversed = WORDS.slice().reverse();
+
+    assert.equal(renderWordCloudSvg(reversed), renderWordCloudSvg(WORDS));
+    assert.ok(renderWordCloudPng(reversed).equals(renderWordCloudPng(WORDS)));
+    assert.notEqual(renderWordCloudSvg(WORDS, { seed: 2 }), renderWordCloudSvg(WORDS));
+});
+
+test('places every word inside the canvas without overlaps, biggest first', () => {
+    const placed = layoutWordCloud(WORDS, { width: 400, height: 300 });
+
+    assert.deepEqual(placed.map(item => item.word), ['walnut', 'desk', 'delivery', 'drawers', 'hardwood', 'returns']);
+    placed.forEach((item, index) => {
+        assert.ok(item.x >= 0 && item.y >= 0 && item.x + item.width <= 400 && item.y + item.height <= 300, item.word);
+        placed.slice(index + 1).forEach(other => {
+            const apart = item.x + item.width <= other.x || other.x + other.width <= item.x ||
+                item.y + item.height <= other.y || other.y + other.height <= item.y;
+            assert.ok(apart, `${item.word} overlaps ${other.word}`);
+        });
+    });
+});
+
+test('escapes words in the SVG', () => {
+    const svg = renderWordCloudSvg([{ word: '<b>&co', weight: 1, color: COLORS.seenByGoogle }]);
+
+    assert.match(svg, /&lt;b&gt;&amp;co/);
+    assert.doesNotMatch(svg, /<b>/);
+});